@@ -0,0 +1,44 @@
+// [Component] Renders the collapsible "earlier conversation summarised" marker of a compacted session.
+// It sits right after the last message the summary covers; the summary replaces those messages in requests.
+import { createDOMElement } from '../../../components/common.js';
+import { formatRelativeTime } from '../../utils/TimeFormatter.js';
+
+function createEditView(text) {
+    const textarea = createDOMElement('textarea', { className: 'edit-textarea context-summary-textarea' }, text);
+    const saveBtn = createDOMElement('button', { className: 'edit-action-btn save', 'data-action': 'save-context-summary' }, '저장');
+    const cancelBtn = createDOMElement('button', { className: 'edit-action-btn cancel', 'data-action': 'cancel-context-summary-edit' }, '취소');
+    return createDOMElement('div', { className: 'context-summary-edit' }, textarea, createDOMElement('div', { className: 'edit-actions' }, saveBtn, cancelBtn));
+}
+
+function createReadView(summary) {
+    const details = [summary.model, `${formatRelativeTime(summary.editedAt || summary.updatedAt)} ${summary.editedAt ? '수정됨' : '요약됨'}`]
+        .filter(Boolean)
+        .join(' · ');
+    const editBtn = createDOMElement('button', { className: 'context-summary-btn', 'data-action': 'edit-context-summary' }, '편집');
+    const clearBtn = createDOMElement('button', { className: 'context-summary-btn', 'data-action': 'clear-context-summary' }, '삭제');
+    return createDOMElement('div', {},
+        createDOMElement('div', { className: 'context-summary-text' }, summary.text),
+        createDOMElement('div', { className: 'context-summary-footer' },
+            createDOMElement('span', { className: 'context-summary-details' }, details),
+            createDOMElement('div', { className: 'context-summary-actions' }, editBtn, clearBtn)
+        )
+    );
+}
+
+/**
+ * @returns {HTMLElement|null} null when the session has no summary or its anchor message is gone.
+ */
+export function create(session, { isEditing = false } = {}) {
+    const summary = session.contextSummary;
+    if (!summary?.text) return null;
+    const coveredCount = session.history.findIndex(m => m.id === summary.throughMessageId) + 1;
+    if (coveredCount === 0) return null;
+
+    const title = createDOMElement('summary', { className: 'context-summary-title' }, `이전 대화 요약됨 · 메시지 ${coveredCount}개`);
+    const hint = createDOMElement('p', { className: 'context-summary-hint' }, '위의 메시지 대신 아래 요약이 모델에 전달됩니다.');
+    return createDOMElement('details', {
+        className: `context-summary${isEditing ? ' is-editing' : ''}`,
+        'data-through-message-id': summary.throughMessageId,
+        open: isEditing,
+    }, title, hint, isEditing ? createEditView(summary.text) : createReadView(summary));
+}
@@ -0,0 +1,29 @@
+// [Component] Renders the UI for a Word (DOCX) attachment summary.
+import { createDOMElement } from '../../../components/common.js';
+
+function formatDetails(size, info) {
+    const details = ['Word 문서', `${(size / 1024).toFixed(1)} KB`];
+    if (info) {
+        details.push(`문단 ${info.paragraphCount.toLocaleString()}개`);
+        if (info.tableCount) details.push(`표 ${info.tableCount.toLocaleString()}개`);
+        details.push(`단어 ${info.wordCount.toLocaleString()}개`);
+    }
+    return details.join(' · ');
+}
+
+export function create(part) {
+    const { name, size = 0, info } = part;
+
+    const fileIcon = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z"></path><polyline points="14 2 14 8 20 8"></polyline><polyline points="8 12 9.5 18 12 14 14.5 18 16 12"></polyline></svg>`;
+
+    const header = createDOMElement('div', { className: 'document-summary-header' },
+        createDOMElement('div', { className: 'file-icon' }),
+        createDOMElement('div', { className: 'file-info' },
+            createDOMElement('div', { className: 'file-name' }, name),
+            createDOMElement('div', { className: 'file-details' }, formatDetails(size, info))
+        )
+    );
+    header.querySelector('.file-icon').innerHTML = fileIcon;
+
+    return createDOMElement('div', { className: 'document-summary-wrapper docx-summary' }, header);
+}
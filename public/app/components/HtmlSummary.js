@@ -0,0 +1,28 @@
+// [Component] Renders the UI for an HTML attachment summary; the page title is shown when it has one.
+import { createDOMElement } from '../../../components/common.js';
+
+function formatDetails(size, info) {
+    const details = ['HTML 문서', `${(size / 1024).toFixed(1)} KB`];
+    if (info) details.push(`단어 ${info.wordCount.toLocaleString()}개`);
+    return details.join(' · ');
+}
+
+export function create(part) {
+    const { name, size = 0, info } = part;
+
+    const fileIcon = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path></svg>`;
+
+    const fileInfo = createDOMElement('div', { className: 'file-info' },
+        createDOMElement('div', { className: 'file-name' }, name)
+    );
+    if (info?.title) fileInfo.appendChild(createDOMElement('div', { className: 'file-title' }, info.title));
+    fileInfo.appendChild(createDOMElement('div', { className: 'file-details' }, formatDetails(size, info)));
+
+    const header = createDOMElement('div', { className: 'document-summary-header' },
+        createDOMElement('div', { className: 'file-icon' }),
+        fileInfo
+    );
+    header.querySelector('.file-icon').innerHTML = fileIcon;
+
+    return createDOMElement('div', { className: 'document-summary-wrapper html-summary' }, header);
+}
@@ -0,0 +1,30 @@
+// [Component] Renders an audio or video attachment with an inline player, its length and how it was sent.
+import { createDOMElement } from '../../../components/common.js';
+import { getFileUrl, MEDIA_MODES } from '../services/FileService.js';
+import { formatDuration } from '../../utils/TimeFormatter.js';
+
+function formatDetails({ mode, duration, size = 0 }) {
+    const details = [MEDIA_MODES[mode] || MEDIA_MODES.media];
+    if (duration != null) details.push(formatDuration(duration));
+    details.push(`${(size / 1024 / 1024).toFixed(1)} MB`);
+    return details.join(' · ');
+}
+
+export function create(part) {
+    const { type, name, fileId } = part;
+
+    const header = createDOMElement('div', { className: 'media-attachment-header' },
+        createDOMElement('span', { className: 'file-name' }, name || (type === 'video' ? '비디오' : '오디오')),
+        createDOMElement('span', { className: 'file-details' }, formatDetails(part))
+    );
+    // preload="metadata" keeps long recordings from downloading until they are played; the server
+    // answers range requests, so seeking works without the whole file.
+    const player = createDOMElement(type === 'video' ? 'video' : 'audio', {
+        className: `media-attachment-player ${type}`,
+        src: getFileUrl(fileId),
+        controls: true,
+        preload: 'metadata',
+    });
+
+    return createDOMElement('div', { className: 'media-attachment-wrapper' }, header, player);
+}
@@ -1,9 +1,17 @@
 // [Component] Renders a single message UI, including all its parts and actions.
 import { createDOMElement } from '../../../components/common.js';
 import { appState } from '../state/AppState.js';
+import { getBranchInfo } from '../state/SessionManager.js';
 import * as CodeBlock from './CodeBlock.js';
 import * as CodeSummary from './CodeSummary.js';
 import * as PdfSummary from './PdfSummary.js';
+import * as DocxSummary from './DocxSummary.js';
+import * as SpreadsheetSummary from './SpreadsheetSummary.js';
+import * as PresentationSummary from './PresentationSummary.js';
+import * as HtmlSummary from './HtmlSummary.js';
+import * as MediaPlayer from './MediaPlayer.js';
+import { getFileUrl } from '../services/FileService.js';
+import { SAMPLING_FIELDS, GENERATION_FIELDS } from '../modules/GenerationConfig.js';
 
 function formatCompletionTime(timestamp) {
     const now = new Date();
@@ -16,16 +24,29 @@ function formatCompletionTime(timestamp) {
     }
 }
 
+// [NEW] "온도 0.2 · Top-P 0.9" for the line; every parameter the reply was generated with for the tooltip.
+function formatGenerationSettings(settings) {
+    const describe = fields => fields
+        .filter(field => settings[field.key] !== undefined)
+        .map(field => `${field.label} ${Array.isArray(settings[field.key]) ? settings[field.key].join(', ') : settings[field.key]}`);
+    return { summary: describe(SAMPLING_FIELDS).join(' · '), details: describe([...SAMPLING_FIELDS, ...GENERATION_FIELDS]).join('\n') };
+}
+
 function renderMetadata(container, message) {
-    const { completionTimestamp, thinkingTime, modelUsed } = message;
+    const { completionTimestamp, thinkingTime, modelUsed, requestedModel, cancelled, generationSettings } = message;
     if (!completionTimestamp) return;
 
     const timeStr = formatCompletionTime(completionTimestamp);
     const durationStr = (thinkingTime / 1000).toFixed(1) + '초';
-    const modelStr = modelUsed;
-    const metadataText = `(답변 완료: ${timeStr} / ${durationStr} / ${modelStr})`;
+    // [MODIFIED] A fallback reply names the model that was asked for as well.
+    const isFallback = requestedModel && requestedModel !== modelUsed;
+    const modelStr = isFallback ? `${modelUsed} ← 대체 응답 (요청: ${requestedModel})` : modelUsed;
+    const statusStr = cancelled ? '답변 중단' : '답변 완료';
+    const settings = generationSettings ? formatGenerationSettings(generationSettings) : null;
+    const metadataText = `(${statusStr}: ${timeStr} / ${durationStr} / ${modelStr}${settings?.summary ? ` / ${settings.summary}` : ''})`;
 
-    const metadataEl = createDOMElement('div', { className: 'message-metadata' }, metadataText);
+    const metadataEl = createDOMElement('div', { className: isFallback ? 'message-metadata is-fallback' : 'message-metadata' }, metadataText);
+    if (settings?.details) metadataEl.title = settings.details;
     container.appendChild(metadataEl);
 }
 
@@ -47,7 +68,7 @@ function renderMessageParts(parts, role, receivedAt) {
                 }
                 break;
             case 'image':
-                if (part.data) partContent = createDOMElement('img', { src: part.data, className: 'message-image' });
+                if (part.fileId || part.data) partContent = createDOMElement('img', { src: part.fileId ? getFileUrl(part.fileId) : part.data, className: 'message-image', alt: part.name || '', loading: 'lazy' });
                 break;
             case 'code-summary':
                 if (part.summary) partContent = CodeSummary.create(part.summary);
@@ -55,12 +76,76 @@ function renderMessageParts(parts, role, receivedAt) {
             case 'pdf-attachment':
                 if (part.name) partContent = PdfSummary.create(part);
                 break;
+            case 'audio':
+            case 'video':
+                if (part.fileId) partContent = MediaPlayer.create(part);
+                break;
+            case 'docx-attachment':
+                partContent = DocxSummary.create(part);
+                break;
+            case 'spreadsheet-attachment':
+                partContent = SpreadsheetSummary.create(part);
+                break;
+            case 'presentation-attachment':
+                partContent = PresentationSummary.create(part);
+                break;
+            case 'html-attachment':
+                partContent = HtmlSummary.create(part);
+                break;
         }
         if (partContent) textView.appendChild(partContent);
     });
     return textView;
 }
 
+// [NEW] Renders the "< 2/3 >" switcher for a message that has sibling branches.
+function renderBranchSwitcher(message, session) {
+    const branchInfo = getBranchInfo(session, message.id);
+    if (!branchInfo) return null;
+    const isLoading = !!appState.loadingStates[session.id];
+    const { current, total } = branchInfo;
+    const prevBtn = createDOMElement('button', {
+        'data-action': 'prev-branch',
+        'data-message-id': message.id,
+        title: '이전 분기',
+        disabled: isLoading || current === 1
+    }, '‹');
+    const nextBtn = createDOMElement('button', {
+        'data-action': 'next-branch',
+        'data-message-id': message.id,
+        title: '다음 분기',
+        disabled: isLoading || current === total
+    }, '›');
+    const counter = createDOMElement('span', { className: 'branch-counter' }, `${current} / ${total}`);
+    return createDOMElement('div', { className: 'branch-switcher' }, prevBtn, counter, nextBtn);
+}
+
+// [NEW] Tabs for the variations of a reply, plus the button that keeps the shown one and turns the rest into branches.
+function renderCandidateTabs(message, session) {
+    const { candidates, activeCandidate = 0, id } = message;
+    if (!candidates || candidates.length < 2) return null;
+    const isLoading = !!appState.loadingStates[session.id];
+    const tabs = candidates.map((candidate, index) => {
+        const attributes = {
+            className: `candidate-tab${index === activeCandidate ? ' active' : ''}`,
+            'data-action': 'switch-candidate',
+            'data-message-id': id,
+            'data-candidate-index': String(index),
+        };
+        // Cut short by the token limit, a stop sequence's absence, safety filters, ...
+        if (candidate.finishReason && candidate.finishReason !== 'STOP') attributes.title = `종료 사유: ${candidate.finishReason}`;
+        return createDOMElement('button', attributes, `답변 ${index + 1}`);
+    });
+    const selectBtn = createDOMElement('button', {
+        className: 'candidate-select-btn',
+        'data-action': 'select-candidate',
+        'data-message-id': id,
+        title: isLoading ? '응답 생성 중에는 사용할 수 없습니다.' : '이 답변으로 대화를 이어가고 나머지는 분기로 보관합니다.',
+        disabled: isLoading
+    }, '이 답변 선택');
+    return createDOMElement('div', { className: 'candidate-tabs' }, ...tabs, selectBtn);
+}
+
 function renderEditView(parts, messageId) {
     const editView = createDOMElement('div', { className: 'message-edit-view'});
     const textToEdit = (parts || []).filter(p => p.type === 'text').map(p => p.text).join('\n\n');
@@ -180,9 +265,13 @@ export function create(message, session, rendererOverride = null) {
     const editView = (role === 'user') ? renderEditView(parts, id) : createDOMElement('div', {className: 'message-edit-view'});
 
     const messageContent = createDOMElement('div', { className: 'message-content' }, textView, editView);
+    const candidateTabs = session ? renderCandidateTabs(message, session) : null;
+    if (candidateTabs) messageWrapper.appendChild(candidateTabs);
     messageWrapper.appendChild(messageContent);
 
     if (session) {
+        const branchSwitcher = renderBranchSwitcher(message, session);
+        if (branchSwitcher) messageWrapper.appendChild(branchSwitcher);
         const actionsToolbar = renderActions(message, session, messageWrapper);
         messageWrapper.appendChild(actionsToolbar);
     }
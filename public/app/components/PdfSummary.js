@@ -1,5 +1,17 @@
 // [Component] Renders the UI for a PDF file summary.
 import { createDOMElement } from '../../../components/common.js';
+import { PDF_MODES } from '../services/FileService.js';
+import { formatPageRanges } from '../modules/PageRanges.js';
+
+// [NEW] "문서로 전송 · 12쪽 · 34,567자" or "텍스트 추출 · 1-3, 7쪽 / 12쪽 · 4,321자". Attachments from before the
+// counts were recorded show the mode only.
+function formatDetails({ mode, pageCount, charCount, pageRanges }) {
+    const details = [PDF_MODES[mode] || PDF_MODES.text];
+    if (pageRanges?.length) details.push(`${formatPageRanges(pageRanges)}쪽${pageCount !== undefined ? ` / ${pageCount.toLocaleString()}쪽` : ''}`);
+    else if (pageCount !== undefined) details.push(`${pageCount.toLocaleString()}쪽`);
+    if (charCount !== undefined) details.push(`${charCount.toLocaleString()}자`);
+    return details.join(' · ');
+}
 
 export function create(summary) {
     const { name } = summary;
@@ -9,7 +21,8 @@ export function create(summary) {
     const header = createDOMElement('div', { className: 'pdf-summary-header' },
         createDOMElement('div', { className: 'file-icon' }),
         createDOMElement('div', { className: 'file-info' },
-            createDOMElement('div', { className: 'file-name' }, name)
+            createDOMElement('div', { className: 'file-name' }, name),
+            createDOMElement('div', { className: 'file-details' }, formatDetails(summary))
         )
     );
     header.querySelector('.file-icon').innerHTML = fileIcon;
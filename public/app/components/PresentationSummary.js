@@ -0,0 +1,28 @@
+// [Component] Renders the UI for a presentation (PPTX) attachment summary.
+import { createDOMElement } from '../../../components/common.js';
+
+function formatDetails(size, info) {
+    const details = ['프레젠테이션', `${(size / 1024).toFixed(1)} KB`];
+    if (info) {
+        details.push(`슬라이드 ${info.slideCount.toLocaleString()}장`);
+        if (info.notesCount) details.push(`발표자 노트 ${info.notesCount.toLocaleString()}장`);
+    }
+    return details.join(' · ');
+}
+
+export function create(part) {
+    const { name, size = 0, info } = part;
+
+    const fileIcon = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect><line x1="8" y1="21" x2="16" y2="21"></line><line x1="12" y1="17" x2="12" y2="21"></line></svg>`;
+
+    const header = createDOMElement('div', { className: 'document-summary-header' },
+        createDOMElement('div', { className: 'file-icon' }),
+        createDOMElement('div', { className: 'file-info' },
+            createDOMElement('div', { className: 'file-name' }, name),
+            createDOMElement('div', { className: 'file-details' }, formatDetails(size, info))
+        )
+    );
+    header.querySelector('.file-icon').innerHTML = fileIcon;
+
+    return createDOMElement('div', { className: 'document-summary-wrapper presentation-summary' }, header);
+}
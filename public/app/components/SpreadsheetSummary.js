@@ -0,0 +1,36 @@
+// [Component] Renders the UI for a spreadsheet (XLSX/CSV) attachment summary, with one line per sheet.
+import { createDOMElement } from '../../../components/common.js';
+
+function formatDetails(size, info) {
+    const details = ['스프레드시트', `${(size / 1024).toFixed(1)} KB`];
+    if (info) {
+        details.push(`시트 ${info.sheets.length.toLocaleString()}개`);
+        details.push(`${info.sheets.reduce((sum, sheet) => sum + sheet.rowCount, 0).toLocaleString()}행`);
+    }
+    return details.join(' · ');
+}
+
+export function create(part) {
+    const { name, size = 0, info } = part;
+
+    const fileIcon = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><line x1="3" y1="9" x2="21" y2="9"></line><line x1="3" y1="15" x2="21" y2="15"></line><line x1="9" y1="3" x2="9" y2="21"></line></svg>`;
+
+    const header = createDOMElement('div', { className: 'document-summary-header' },
+        createDOMElement('div', { className: 'file-icon' }),
+        createDOMElement('div', { className: 'file-info' },
+            createDOMElement('div', { className: 'file-name' }, name),
+            createDOMElement('div', { className: 'file-details' }, formatDetails(size, info))
+        )
+    );
+    header.querySelector('.file-icon').innerHTML = fileIcon;
+
+    const wrapper = createDOMElement('div', { className: 'document-summary-wrapper spreadsheet-summary' }, header);
+    if (info?.sheets.length > 1 || info?.truncated) {
+        const sheetList = createDOMElement('ul', { className: 'document-summary-list' },
+            ...info.sheets.map(sheet => createDOMElement('li', {}, `${sheet.name} (${sheet.rowCount.toLocaleString()}행 × ${sheet.columnCount.toLocaleString()}열)`))
+        );
+        wrapper.appendChild(sheetList);
+        if (info.truncated) wrapper.appendChild(createDOMElement('div', { className: 'file-details' }, '큰 시트는 앞부분의 행과 열만 전송됩니다.'));
+    }
+    return wrapper;
+}
@@ -2,23 +2,41 @@
 import { createDOMElement } from '../../../components/common.js';
 
 // [MODIFIED] Simplified to create a single div for CSS animation.
+// A class (not an id) is used because several sessions can be generating at once.
 function create() {
-    const indicator = createDOMElement('div', { id: 'thinking-indicator' });
+    const indicator = createDOMElement('div', { className: 'thinking-indicator' });
     return indicator;
 }
 
-function remove() {
-    const existing = document.getElementById('thinking-indicator');
+function remove(container) {
+    const existing = container ? container.querySelector('.thinking-indicator') : null;
     if (existing) existing.remove();
+    container?.querySelector('.thinking-indicator-status')?.remove();
 }
 
-// [MODIFIED] Simplified manage function. The startTime is no longer used but kept for compatibility.
+// [MODIFIED] Scoped to the given session view so one session never removes another's indicator.
 export function manage(show, startTime, container) {
-    remove();
+    remove(container);
     if (show && container) {
         const indicatorElement = create();
         container.appendChild(indicatorElement);
         return true;
     }
     return false;
-}
\ No newline at end of file
+}
+
+// [NEW] Shows a status line (e.g. retry progress) under the indicator; an empty text clears it.
+export function setStatus(container, text) {
+    const indicator = container ? container.querySelector('.thinking-indicator') : null;
+    if (!indicator) return;
+    let status = container.querySelector('.thinking-indicator-status');
+    if (!text) {
+        if (status) status.remove();
+        return;
+    }
+    if (!status) {
+        status = createDOMElement('div', { className: 'thinking-indicator-status' });
+        indicator.after(status);
+    }
+    status.textContent = text;
+}
@@ -3,8 +3,10 @@ import { $, $$ } from '../../utils/dom.js';
 import { createDOMElement } from '../../components/common.js';
 import { appState } from '../state/AppState.js';
 import { getCategorizedModels } from '../state/ModelManager.js';
-import { manage as manageThinkingIndicatorHelper } from '../components/ThinkingIndicator.js';
+import { manage as manageThinkingIndicatorHelper, setStatus as setThinkingIndicatorStatus } from '../components/ThinkingIndicator.js';
 import { create as createMessageElement } from '../components/Message.js';
+import { create as createContextSummaryMarker } from '../components/ContextSummary.js';
+import * as CodeBlock from '../components/CodeBlock.js';
 import * as AnimationManager from '../modules/AnimationManager.js';
 import { applySyntaxHighlighting } from '../utils/highlighter.js';
 import { renderMathInElement } from '../utils/MathRenderer.js';
@@ -17,6 +19,7 @@ let hoveredMessageEl = null;
 let rafId = null;
 let hideTimeout = null;
 let isTransitioning = false;
+const streamingMessages = new Map(); // sessionId -> { messageEl, textPartDiv, pendingText, rafId }
 
 function updateScrollShadows() {
     if (!elements.chatBox || !elements.chatHeader || !elements.scrollFadeBottom) return;
@@ -80,8 +83,10 @@ function createAndCacheSessionView(sessionId) {
     const session = appState.sessions[sessionId];
     if (!session) return null;
     const viewContainer = createDOMElement('div', { id: `session-view-${sessionId}`, className: 'message-list-container' });
+    const summaryMarker = createContextSummaryMarker(session);
     session.history.forEach((message) => {
         viewContainer.appendChild(createMessageElement(message, session));
+        if (summaryMarker && message.id === session.contextSummary.throughMessageId) viewContainer.appendChild(summaryMarker);
     });
     applySyntaxHighlighting(viewContainer);
     renderMathInElement(viewContainer);
@@ -312,7 +317,65 @@ export function appendMessage(sessionId, message) {
     }
 }
 
+// [NEW] Streaming lifecycle: a placeholder message is filled with partial output,
+// then swapped for the real message element once the reply is complete.
+function createStreamingMessage(sessionId) {
+    let view = sessionViewCache.get(sessionId);
+    if (!view) view = createAndCacheSessionView(sessionId);
+    if (!view) return null;
+    manageThinkingIndicator(sessionId, false);
+    const textPartDiv = createDOMElement('div', { className: 'text-part' });
+    const textView = createDOMElement('div', { className: 'message-text-view' }, textPartDiv);
+    const messageEl = createDOMElement('div', { className: 'message model is-streaming' },
+        createDOMElement('div', { className: 'message-content' }, textView)
+    );
+    view.appendChild(messageEl);
+    const stream = { messageEl, textPartDiv, pendingText: '', rafId: null };
+    streamingMessages.set(sessionId, stream);
+    return stream;
+}
+
+export function updateStreamingMessage(sessionId, text) {
+    const stream = streamingMessages.get(sessionId) || createStreamingMessage(sessionId);
+    if (!stream) return;
+    stream.pendingText = text;
+    if (stream.rafId) return;
+    // Coalesce chunks into one render per frame.
+    stream.rafId = requestAnimationFrame(() => {
+        stream.rafId = null;
+        const chatBox = elements.chatBox;
+        const wasAtBottom = chatBox.scrollHeight - chatBox.scrollTop - chatBox.clientHeight < 50;
+        const sanitizedHtml = window.DOMPurify.sanitize(window.marked.parse(stream.pendingText));
+        stream.textPartDiv.innerHTML = CodeBlock.enhance(sanitizedHtml);
+        if (appState.activeSessionId === sessionId && wasAtBottom) chatBox.scrollTop = chatBox.scrollHeight;
+    });
+}
+
+export function finalizeStreamingMessage(sessionId, message) {
+    const stream = streamingMessages.get(sessionId);
+    const session = appState.sessions[sessionId];
+    if (!stream || !session) {
+        appendMessage(sessionId, message);
+        return;
+    }
+    if (stream.rafId) cancelAnimationFrame(stream.rafId);
+    streamingMessages.delete(sessionId);
+    const messageEl = createMessageElement(message, session);
+    stream.messageEl.replaceWith(messageEl);
+    applySyntaxHighlighting(messageEl);
+    renderMathInElement(messageEl);
+}
+
+export function discardStreamingMessage(sessionId) {
+    const stream = streamingMessages.get(sessionId);
+    if (!stream) return;
+    if (stream.rafId) cancelAnimationFrame(stream.rafId);
+    stream.messageEl.remove();
+    streamingMessages.delete(sessionId);
+}
+
 export function rerenderSessionView(sessionId) {
+    discardStreamingMessage(sessionId); // Re-created on the next chunk inside the new view.
     const oldView = sessionViewCache.get(sessionId);
     if (oldView) {
         oldView.remove();
@@ -332,6 +395,59 @@ export function rerenderSessionView(sessionId) {
     }
 }
 
+// [NEW] Re-renders a single message in place (e.g. after switching the variation it shows).
+export function refreshMessage(sessionId, messageId) {
+    const view = sessionViewCache.get(sessionId);
+    const session = appState.sessions[sessionId];
+    const message = session?.history.find(m => m.id === messageId);
+    const oldMessageEl = view?.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!message || !oldMessageEl) return;
+    const messageEl = createMessageElement(message, session);
+    oldMessageEl.replaceWith(messageEl);
+    applySyntaxHighlighting(messageEl);
+    renderMathInElement(messageEl);
+}
+
+// [NEW] Scrolls the session's view to a message and flashes it (used by search results).
+export function scrollToMessage(sessionId, messageId) {
+    const view = sessionViewCache.get(sessionId);
+    const messageEl = view?.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!messageEl) return false;
+    messageEl.scrollIntoView({ block: 'center' });
+    messageEl.classList.remove('search-hit');
+    void messageEl.offsetWidth; // Restart the animation if the same message is hit twice.
+    messageEl.classList.add('search-hit');
+    setTimeout(() => messageEl.classList.remove('search-hit'), 2000);
+    return true;
+}
+
+// [NEW] Re-renders the context summary marker (after compaction, or to enter/leave edit mode).
+export function refreshContextSummary(sessionId, { isEditing = false } = {}) {
+    const view = sessionViewCache.get(sessionId);
+    const session = appState.sessions[sessionId];
+    if (!view || !session) return;
+    view.querySelector('.context-summary')?.remove();
+    const marker = createContextSummaryMarker(session, { isEditing });
+    if (!marker) return;
+    const anchor = view.querySelector(`.message[data-message-id="${CSS.escape(session.contextSummary.throughMessageId)}"]`);
+    if (anchor) anchor.after(marker);
+    if (isEditing) marker.querySelector('textarea')?.focus();
+}
+
+// [NEW] Drops every cached session view (e.g. after a restore replaced sessions wholesale).
+// [NEW] Forgets the cached view of a session that changed elsewhere; it is rebuilt the next time it is shown.
+export function dropSessionView(sessionId) {
+    discardStreamingMessage(sessionId);
+    sessionViewCache.get(sessionId)?.remove();
+    sessionViewCache.delete(sessionId);
+}
+
+export function resetViews() {
+    [...streamingMessages.keys()].forEach(discardStreamingMessage);
+    sessionViewCache.forEach(view => view.remove());
+    sessionViewCache.clear();
+}
+
 export function manageThinkingIndicator(sessionId, show) {
     const view = sessionViewCache.get(sessionId);
     if (!view) return;
@@ -339,6 +455,12 @@ export function manageThinkingIndicator(sessionId, show) {
     if (show) elements.chatBox.scrollTop = elements.chatBox.scrollHeight;
 }
 
+// [NEW] e.g. "재시도 중 (2/4)…" while the server retries a transient error.
+export function setThinkingStatus(sessionId, text) {
+    const view = sessionViewCache.get(sessionId);
+    if (view) setThinkingIndicatorStatus(view, text);
+}
+
 export function render(state) {
     switchActiveView(state.activeSessionId);
     
@@ -77,15 +77,29 @@ export const SettingsController = {
             tabList: document.getElementById('settings-tabs-list'),
             tabButtons: document.querySelectorAll('#settings-tabs-list .tab-btn'),
             tabContents: document.querySelectorAll('.settings-content .tab-content'),
-            apiKeyInput: document.getElementById('api-key'),
-            validateKeyBtn: document.getElementById('validate-key-btn'),
-            validationStatus: document.getElementById('validation-status'),
-            fallbackKeysList: document.getElementById('fallback-keys-list'),
-            addFallbackKeyBtn: document.getElementById('add-fallback-key-btn'),
+            keyVaultUnlock: document.getElementById('key-vault-unlock'),
+            keyVaultPassphraseInput: document.getElementById('key-vault-passphrase'),
+            keyVaultUnlockBtn: document.getElementById('key-vault-unlock-btn'),
+            keyVaultStatus: document.getElementById('key-vault-status'),
+            apiKeyList: document.getElementById('api-key-list'),
+            addApiKeyForm: document.getElementById('add-api-key-form'),
+            newApiKeyAliasInput: document.getElementById('new-api-key-alias'),
+            newApiKeyInput: document.getElementById('new-api-key'),
+            addApiKeyBtn: document.getElementById('add-api-key-btn'),
             historyTokenLimitInput: document.getElementById('history-token-limit'),
+            historyCompactionRadios: document.querySelectorAll('input[name="history-compaction"]'),
+            compactionModelSelect: document.getElementById('compaction-model'),
+            maxRetryAttemptsInput: document.getElementById('max-retry-attempts'),
             typingSpeedSlider: document.getElementById('typing-speed-slider'),
             typingSpeedValue: document.getElementById('typing-speed-value'),
+            streamResponsesToggle: document.getElementById('stream-responses-toggle'),
             mathRendererRadios: document.querySelectorAll('input[name="math-renderer"]'),
+            importSessionsInput: document.getElementById('import-sessions-input'),
+            importSessionsBtn: document.getElementById('import-sessions-btn'),
+            backupAllBtn: document.getElementById('backup-all-btn'),
+            restoreModeRadios: document.querySelectorAll('input[name="restore-mode"]'),
+            restoreBackupInput: document.getElementById('restore-backup-input'),
+            restoreBackupBtn: document.getElementById('restore-backup-btn'),
             resetCountdownTimer: document.getElementById('reset-countdown-timer'),
             resetSessionsBtn: document.getElementById('reset-sessions-btn'),
             clearUsageHistoryBtn: document.getElementById('clear-usage-history-btn'),
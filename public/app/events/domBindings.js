@@ -43,6 +43,15 @@ export function bindEvents(handlers) {
         }
     });
 
+    // --- Search ---
+    const searchInput = $('#session-search-input');
+    searchInput.addEventListener('input', e => handlers.handleSearch(e.target.value));
+    searchInput.addEventListener('keydown', e => { if (e.key === 'Escape') { e.target.value = ''; handlers.handleSearch(''); } });
+    $('#search-results').addEventListener('click', e => {
+        const resultLi = e.target.closest('li[data-session-id]');
+        if (resultLi) handlers.handleOpenSearchResult(resultLi.dataset.sessionId, resultLi.dataset.messageId);
+    });
+
     // --- Session List ---
     const sessionList = $('#session-list');
     sessionList.addEventListener('click', e => {
@@ -96,6 +105,14 @@ export function bindEvents(handlers) {
                 case 'delete-message': handlers.handleDeleteMessage(messageId); break;
                 case 'get-response': handlers.handleGetResponse(); break;
                 case 'switch-math-renderer': handlers.handleSwitchMathRenderer(messageId); break;
+                case 'prev-branch': handlers.handleSwitchBranch(messageId, -1); break;
+                case 'next-branch': handlers.handleSwitchBranch(messageId, 1); break;
+                case 'switch-candidate': handlers.handleSwitchCandidate(messageId, Number(actionBtn.dataset.candidateIndex)); break;
+                case 'select-candidate': handlers.handleSelectCandidate(messageId); break;
+                case 'edit-context-summary': handlers.handleEditContextSummary(); break;
+                case 'cancel-context-summary-edit': handlers.handleCancelContextSummaryEdit(); break;
+                case 'save-context-summary': { const textarea = actionBtn.closest('.context-summary')?.querySelector('.context-summary-textarea'); if (textarea) handlers.handleSaveContextSummary(textarea.value); break; }
+                case 'clear-context-summary': handlers.handleClearContextSummary(); break;
             }
         }
     });
@@ -2,9 +2,18 @@
 import { appState } from '../state/AppState.js';
 import * as Session from '../state/SessionManager.js';
 import * as ChatService from '../services/ChatService.js';
+import * as FileService from '../services/FileService.js';
+import * as ExportService from '../services/ExportService.js';
+import * as ImportService from '../services/ImportService.js';
+import * as ImportDialog from '../../components/ImportDialog.js';
 import * as ChatContainer from '../containers/ChatContainer.js';
 import * as SessionList from '../../components/SessionList.js';
+import * as SearchResults from '../../components/SearchResults.js';
+import * as SearchIndex from '../modules/SearchIndex.js';
 import * as InputArea from '../../components/InputArea.js';
+import * as GenerationParamsPanel from '../../components/GenerationParamsPanel.js';
+import { getDefaultSamplingSettings, resolveGenerationSettings } from '../modules/GenerationConfig.js';
+import { parsePageRanges } from '../modules/PageRanges.js';
 import * as Toast from '../../components/Toast.js';
 import * as ContextMenu from '../../components/ContextMenu.js';
 import { renderMathInElement } from '../utils/MathRenderer.js';
@@ -27,11 +36,21 @@ export function renderAll() {
     SessionList.render(appState);
     ChatContainer.render(appState);
     InputArea.render(appState);
+    GenerationParamsPanel.render(appState);
     if (views.settings().classList.contains('view-active')) {
         SettingsController.render();
     }
 }
 
+function buildExportSubmenu(itemId) {
+    return [
+        { label: 'Markdown (.md)', action: () => handlers.handleExport(itemId, 'markdown') },
+        { label: 'HTML (.html)', action: () => handlers.handleExport(itemId, 'html') },
+        { label: 'JSON (.json)', action: () => handlers.handleExport(itemId, 'json') },
+        { label: 'PDF (인쇄)', action: () => handlers.handleExport(itemId, 'pdf') },
+    ];
+}
+
 export const handlers = {
     handleShowSettings() {
         views.chat().classList.remove('view-active');
@@ -90,6 +109,22 @@ export const handlers = {
         });
     },
 
+    // [NEW] Full-text search across all sessions
+    handleSearch(query) {
+        const trimmedQuery = (query || '').trim();
+        if (!trimmedQuery) {
+            SearchResults.hide();
+            return;
+        }
+        SearchIndex.sync(appState.sessions);
+        SearchResults.render(SearchIndex.search(trimmedQuery, appState.sessions), appState);
+    },
+    async handleOpenSearchResult(sessionId, messageId) {
+        if (!appState.sessions[sessionId]) return;
+        await handlers.handleSwitchSession(sessionId);
+        if (messageId) ChatContainer.scrollToMessage(sessionId, messageId);
+    },
+
     async handleInputUpdate() { InputArea.render(appState); },
     handleCreateFolder() { Session.createFolder(appState); renderAll(); },
     handleToggleFolder(folderId) { Session.toggleFolder(appState, folderId); },
@@ -103,6 +138,9 @@ export const handlers = {
         menuItems.push({ label: '이름 변경', action: () => handlers.handleBeginRename(itemId) });
         if (item.type === 'session') { 
             const session = appState.sessions[itemId];
+            if (appState.loadingStates[itemId]) {
+                menuItems.push({ label: '응답 중지', action: () => handlers.handleCancelGeneration(itemId) });
+            }
             menuItems.push({ type: 'separator' });
             menuItems.push({ label: '태그 추가', action: () => handlers.handleAddTag(itemId) });
             if (session && session.tags && session.tags.length > 0) {
@@ -118,13 +156,56 @@ export const handlers = {
             const findFoldersRecursive = (items) => { for (const i of items) { if (i.type === 'folder' && i.id !== parent?.id) { folders.push({ label: i.name, action: () => handlers.handleMoveItem(itemId, i.id) }); } if (i.type === 'folder') findFoldersRecursive(i.children); } };
             findFoldersRecursive(appState.sidebarItems);
             if (folders.length > 0) { menuItems.push({ label: '폴더에 넣기', submenu: folders }); }
+            menuItems.push({ label: '내보내기', submenu: buildExportSubmenu(itemId) });
             menuItems.push({ type: 'separator' });
             menuItems.push({ label: '삭제', action: () => handlers.handleDeleteSession(itemId) }); 
         } else { // Folder
+            menuItems.push({ label: '모두 내보내기', submenu: buildExportSubmenu(itemId) });
+            menuItems.push({ type: 'separator' });
             menuItems.push({ label: '삭제', action: () => handlers.handleDeleteFolder(itemId) }); 
         }
         ContextMenu.show(clientX, clientY, menuItems); 
     },
+    // [NEW] Exports a session, or every session inside a folder (recursively).
+    async handleExport(itemId, format) {
+        const result = Session.findItemRecursive(appState.sidebarItems, itemId);
+        if (!result) return;
+        const { item } = result;
+        const sessionIds = [];
+        const collectSessionIds = (items) => items.forEach(i => { if (i.type === 'folder') collectSessionIds(i.children); else sessionIds.push(i.id); });
+        collectSessionIds([item]);
+        const sessions = sessionIds.map(id => appState.sessions[id]).filter(Boolean);
+        try {
+            await ExportService.exportSessions(sessions, format, item.type === 'folder' ? item.name : null);
+        } catch (error) {
+            console.error('Export failed:', error);
+            Toast.show(`내보내기 실패: ${error.message}`, 'warning');
+        }
+    },
+    // [NEW] Imports conversations from an export file into a new sidebar folder.
+    async handleImportFile(file) {
+        let parsed;
+        try {
+            parsed = ImportService.parseImportFile(await file.text(), file.name);
+        } catch (error) {
+            console.error('Import failed:', error);
+            Toast.show(`가져오기 실패: ${error.message}`, 'warning');
+            return;
+        }
+        const conflicts = ImportService.findConflicts(appState, parsed.sessions);
+        const defaultFolderName = `가져온 대화 (${parsed.source}) ${new Date().toLocaleDateString()}`;
+        ImportDialog.open({ ...parsed, conflicts, defaultFolderName }, ({ folderName, conflictStrategy }) => {
+            const summary = Session.importSessions(appState, parsed.sessions, folderName, conflictStrategy);
+            if (summary.overwritten) ChatContainer.resetViews(); // Overwritten sessions may have stale cached views.
+            renderAll();
+            const details = [
+                summary.renamed ? `새 ID ${summary.renamed}개` : '',
+                summary.overwritten ? `덮어쓰기 ${summary.overwritten}개` : '',
+                summary.skipped ? `건너뜀 ${summary.skipped}개` : '',
+            ].filter(Boolean).join(', ');
+            Toast.show(`대화 ${summary.imported}개를 가져왔습니다.${details ? ` (${details})` : ''}`);
+        });
+    },
     handleAddTag(sessionId) {
         const newTag = prompt("추가할 태그를 입력하세요:");
         if (newTag && newTag.trim()) {
@@ -145,15 +226,45 @@ export const handlers = {
         if (!fileList || fileList.length === 0) { return; }
         try { 
             for (const file of fileList) {
+                // [MODIFIED] Images, PDFs and documents go to the file store once; messages only keep the file id.
+                if (file.size > FileService.MAX_UPLOAD_BYTES) {
+                    Toast.show(`${file.name}: 파일이 너무 큽니다 (최대 ${FileService.MAX_UPLOAD_BYTES / 1024 / 1024}MB).`);
+                    continue;
+                }
+                if (FileService.isStoredAttachment(file)) {
+                    appState.attachedFiles.push(await FileService.uploadAttachment(file, appState.settings.apiKeyAliases?.[0]?.id));
+                    continue;
+                }
                 const fileData = await ChatService.readFileAsPromise(file);
                 appState.attachedFiles.push({ name: file.name, type: file.type, size: file.size, data: fileData });
             }
         } catch (error) { 
             console.error("Error reading file(s):", error); 
-            alert("파일을 읽는 중 오류가 발생했습니다."); 
+            if (error.status) Toast.show(`파일을 업로드하지 못했습니다: ${error.message}`);
+            else alert("파일을 읽는 중 오류가 발생했습니다."); 
         } 
         InputArea.render(appState); 
     },
+    handleSetPdfMode(index, mode) {
+        const file = appState.attachedFiles[index];
+        if (!file || file.type !== 'application/pdf') return;
+        file.pdfMode = mode;
+        InputArea.render(appState);
+    },
+    handleSetMediaMode(index, mode) {
+        const file = appState.attachedFiles[index];
+        if (!file || !FileService.isMediaFile(file)) return;
+        file.mediaMode = mode;
+        InputArea.render(appState);
+    },
+    handleSetPdfPageRanges(index, text) {
+        const file = appState.attachedFiles[index];
+        if (!file || file.type !== 'application/pdf') return;
+        const result = parsePageRanges(text, file.pageCount);
+        if (result.error) Toast.show(result.error);
+        else file.pageRanges = result.value;
+        InputArea.render(appState);
+    },
     handleRemoveAttachedFile(index) {
         if (index > -1 && index < appState.attachedFiles.length) {
             appState.attachedFiles.splice(index, 1);
@@ -164,12 +275,33 @@ export const handlers = {
     handleCopyMessage(messageId) { if (!messageId) return; const session = appState.sessions[appState.activeSessionId]; if (!session) return; const message = session.history.find(m => m.id === messageId); if (!message) return; const textToCopy = message.parts.filter(p => p.type === 'text').map(p => p.text).join('\n\n'); if (textToCopy) { navigator.clipboard.writeText(textToCopy).then(() => { Toast.show('클립보드에 복사되었습니다.'); }).catch(err => { console.error('클립보드 복사 실패:', err); Toast.show('복사에 실패했습니다.'); }); } else { Toast.show('복사할 텍스트가 없습니다.'); } },
     handleCopyCodeBlock(buttonElement) { const wrapper = buttonElement.closest('.code-block-wrapper'); if (!wrapper) return; const codeElement = wrapper.querySelector('pre > code'); if (!codeElement) return; const codeText = codeElement.innerText; navigator.clipboard.writeText(codeText).then(() => { Toast.show('코드가 클립보드에 복사되었습니다.'); }).catch(err => { console.error('코드 블록 복사 실패:', err); Toast.show('코드 복사에 실패했습니다.'); }); },
     async handleRegenerate(messageId) { const sessionId = appState.activeSessionId; await ChatService.regenerate(sessionId, messageId); },
-    handleStartEdit(messageId) { Session.startEditingMessage(appState, appState.activeSessionId, messageId); renderAll(); },
-    handleCancelEdit(messageId) { Session.cancelEditingMessage(appState, appState.activeSessionId, messageId); renderAll(); },
-    async handleSaveEdit(messageId, newText) { const sessionId = appState.activeSessionId; if (!newText.trim()) { Toast.show("메시지는 비워둘 수 없습니다."); return; } const newParts = [{ type: 'text', text: newText.trim() }]; Session.saveEditedMessage(appState, sessionId, messageId, newParts); renderAll(); await ChatService.resubmit(sessionId); },
-    handleCancelGeneration() {
-        ChatService.cancelCurrentRequest();
-        AnimationManager.stop(appState.activeSessionId);
+    handleStartEdit(messageId) { Session.startEditingMessage(appState, appState.activeSessionId, messageId); ChatContainer.rerenderSessionView(appState.activeSessionId); renderAll(); },
+    handleCancelEdit(messageId) { Session.cancelEditingMessage(appState, appState.activeSessionId, messageId); ChatContainer.rerenderSessionView(appState.activeSessionId); renderAll(); },
+    async handleSaveEdit(messageId, newText) { const sessionId = appState.activeSessionId; if (!newText.trim()) { Toast.show("메시지는 비워둘 수 없습니다."); return; } const newParts = [{ type: 'text', text: newText.trim() }]; Session.saveEditedMessage(appState, sessionId, messageId, newParts); ChatContainer.rerenderSessionView(sessionId); renderAll(); await ChatService.resubmit(sessionId); },
+    handleSwitchBranch(messageId, direction) {
+        const sessionId = appState.activeSessionId;
+        if (!sessionId || appState.loadingStates[sessionId]) return;
+        AnimationManager.stop(sessionId);
+        Session.switchBranch(appState, sessionId, messageId, direction);
+        ChatContainer.rerenderSessionView(sessionId);
+        SessionList.render(appState);
+    },
+    // [NEW] Variations of a reply (candidateCount > 1)
+    handleSwitchCandidate(messageId, candidateIndex) {
+        const sessionId = appState.activeSessionId;
+        Session.setActiveCandidate(appState, sessionId, messageId, candidateIndex);
+        ChatContainer.refreshMessage(sessionId, messageId);
+    },
+    handleSelectCandidate(messageId) {
+        const sessionId = appState.activeSessionId;
+        if (!sessionId || appState.loadingStates[sessionId]) return;
+        Session.selectCandidate(appState, sessionId, messageId);
+        ChatContainer.refreshMessage(sessionId, messageId);
+        SessionList.render(appState);
+    },
+    handleCancelGeneration(sessionId = appState.activeSessionId) {
+        ChatService.cancelRequest(sessionId);
+        AnimationManager.stop(sessionId);
     },
     handleDeleteMessage(messageId) {
         const sessionId = appState.activeSessionId;
@@ -178,7 +310,50 @@ export const handlers = {
         ChatContainer.rerenderSessionView(sessionId);
         SessionList.render(appState);
     },
+    // [NEW] Context summary marker (compaction mode)
+    handleEditContextSummary() { ChatContainer.refreshContextSummary(appState.activeSessionId, { isEditing: true }); },
+    handleCancelContextSummaryEdit() { ChatContainer.refreshContextSummary(appState.activeSessionId); },
+    handleSaveContextSummary(text) {
+        const sessionId = appState.activeSessionId;
+        if (!text.trim()) { Toast.show("요약은 비워둘 수 없습니다. 요약을 없애려면 삭제하세요."); return; }
+        Session.editContextSummary(appState, sessionId, text.trim());
+        ChatContainer.refreshContextSummary(sessionId);
+        InputArea.render(appState);
+    },
+    handleClearContextSummary() {
+        const sessionId = appState.activeSessionId;
+        if (!confirm("대화 요약을 삭제하시겠습니까?\n다음 요청 때 토큰 제한을 넘는 대화가 다시 요약됩니다.")) return;
+        Session.clearContextSummary(appState, sessionId);
+        ChatContainer.refreshContextSummary(sessionId);
+        InputArea.render(appState);
+    },
     async handleGetResponse() { const sessionId = appState.activeSessionId; await ChatService.resubmit(sessionId); },
+    // [NEW] Per-session generation parameters (sampling sliders and GenerationParamsPanel)
+    handleUpdateGenerationConfig(changes) {
+        const session = appState.sessions[appState.activeSessionId];
+        if (!session) return;
+        Session.updateGenerationConfig(appState, session.id, { ...resolveGenerationSettings(session, appState.settings), ...changes });
+        GenerationParamsPanel.render(appState);
+    },
+    handleResetGenerationConfig() {
+        const sessionId = appState.activeSessionId;
+        if (!appState.sessions[sessionId]) return;
+        Session.updateGenerationConfig(appState, sessionId, getDefaultSamplingSettings(appState.settings));
+        InputArea.render(appState);
+        GenerationParamsPanel.render(appState);
+    },
+    handleSaveSamplingDefaults() {
+        const session = appState.sessions[appState.activeSessionId];
+        if (!session) return;
+        const { temperature, topP } = resolveGenerationSettings(session, appState.settings);
+        Object.assign(appState.settings, { temperature, topP });
+        handlers.handleSaveSettings();
+        Toast.show(`새 대화의 기본값을 온도 ${temperature.toFixed(1)}, Top-P ${topP.toFixed(1)}(으)로 저장했습니다.`);
+    },
+    handleSaveGenerationConfigToTemplate() {
+        const template = Session.saveGenerationConfigToTemplate(appState, appState.activeSessionId);
+        Toast.show(template ? `'${template.title}' 템플릿에 생성 설정을 저장했습니다.` : '이 세션에 선택된 프롬프트 템플릿이 없습니다.');
+    },
     handleToggleModelSelector() { $('#model-selector-dropdown').classList.toggle('hidden'); },
     handleGoToModelSettings() { 
         console.log('handleGoToModelSettings called');
@@ -6,15 +6,20 @@ import css from 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/es/l
 import xml from 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/es/languages/xml.min.js'; // For HTML
 import json from 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/es/languages/json.min.js';
 
-import { appState, refreshState } from './state/AppState.js';
+import { appState, loadState, refreshState, saveState } from './state/AppState.js';
 import { setAvailableModels } from './state/ModelManager.js';
 import * as Session from './state/SessionManager.js';
 import * as GeminiAPIService from './services/GeminiAPIService.js';
+import * as SyncService from './services/SyncService.js';
+import * as FileService from './services/FileService.js';
+import * as KeyVaultService from './services/KeyVaultService.js';
 import { handlers, renderAll } from './events/handlerOrchestrator.js';
 import { bindEvents } from './events/domBindings.js';
 import { init as initSessionList } from '../components/SessionList.js';
+import { init as initSearchResults } from '../components/SearchResults.js';
 import * as ChatContainer from './containers/ChatContainer.js';
 import { init as initInputArea } from '../components/InputArea.js';
+import { init as initGenerationParamsPanel } from '../components/GenerationParamsPanel.js';
 import { init as initModal } from '../components/Modal.js';
 import { init as initContextMenu } from '../components/ContextMenu.js';
 import { init as initToast } from '../components/Toast.js';
@@ -30,9 +35,20 @@ async function initializeApp() {
     };
 
     try {
-        // The import of AppState implicitly triggers the sanitization logic from Step 2.
+        // [MODIFIED] Persistent data is loaded (and sanitized) from IndexedDB before anything renders.
         updateLoadingStatus('데이터 무결성 검사 중...');
-        await new Promise(resolve => setTimeout(resolve, 100)); // Short delay for user to see the message
+        await loadState();
+
+        updateLoadingStatus('서버와 대화 기록 동기화 중...');
+        try {
+            if (await SyncService.pullFromServer(appState)) saveState();
+            // [NEW] Sessions from before the file store still carry base64 attachments.
+            if (await FileService.migrateInlineAttachments(appState)) saveState();
+            // Upload anything that only exists in this browser so far.
+            SyncService.schedulePush(appState);
+        } catch (error) {
+            console.warn('[Sync] Server sync unavailable, continuing with local data:', error.message);
+        }
 
         updateLoadingStatus('UI 리소스 로딩 중...');
         await loadCss([
@@ -63,8 +79,10 @@ async function initializeApp() {
         hljs.registerLanguage('json', json);
 
         initSessionList();
+        initSearchResults();
         ChatContainer.init();
         initInputArea();
+        initGenerationParamsPanel();
         initModal();
         initContextMenu();
         initToast();
@@ -77,9 +95,43 @@ async function initializeApp() {
 
         bindEvents(handlers);
 
-        document.addEventListener('modal-closed', () => { refreshState(); renderAll(); });
+        document.addEventListener('modal-closed', async () => { await refreshState(); renderAll(); });
         document.addEventListener('request-session-reset', () => { Session.resetAllSessions(appState); renderAll(); });
+        document.addEventListener('request-session-import', (e) => handlers.handleImportFile(e.detail.file));
+        document.addEventListener('state-restored', async () => {
+            ChatContainer.resetViews();
+            // Older backups may carry plaintext keys; they belong in the vault, not in browser storage.
+            try {
+                await KeyVaultService.migrateLegacyKeys(appState, await KeyVaultService.syncKeyAliases(appState));
+            } catch (error) {
+                console.warn('Key vault is unavailable:', error);
+            }
+            if (await FileService.migrateInlineAttachments(appState)) {
+                saveState();
+                SyncService.schedulePush(appState);
+            }
+            document.body.classList.toggle('dark-mode', appState.isDarkMode);
+            document.querySelector('.container').classList.toggle('sidebar-collapsed', appState.isSidebarCollapsed);
+            if (Object.keys(appState.sessions).length === 0) await handlers.handleNewChat();
+            renderAll();
+        });
         document.addEventListener('model-list-updated', () => { renderAll(); });
+        // [NEW] Sync pulled changes from other browsers, or resolved a conflict with them.
+        document.addEventListener('sync-state-changed', (e) => {
+            saveState();
+            e.detail.sessionIds.forEach(sessionId => {
+                if (sessionId === appState.activeSessionId) ChatContainer.rerenderSessionView(sessionId);
+                else ChatContainer.dropSessionView(sessionId);
+            });
+            renderAll();
+        });
+        // Other browsers may have changed sessions while this tab was in the background.
+        const pullOnReturn = () => {
+            if (document.visibilityState !== 'visible') return;
+            SyncService.pullFromServer(appState).catch(error => console.warn('[Sync] Could not pull changes from the server:', error.message));
+        };
+        document.addEventListener('visibilitychange', pullOnReturn);
+        window.addEventListener('focus', pullOnReturn);
         document.addEventListener('animation-complete', (e) => {
             const { sessionId } = e.detail;
             ChatContainer.manageThinkingIndicator(sessionId, false);
@@ -89,10 +141,20 @@ async function initializeApp() {
         
 
 
+        updateLoadingStatus('API 키 보관함 확인 중...');
+        let keyVaultStatus = { unlocked: false, hasDefaultKey: false };
+        try {
+            keyVaultStatus = await KeyVaultService.syncKeyAliases(appState);
+            await KeyVaultService.migrateLegacyKeys(appState, keyVaultStatus);
+        } catch (error) {
+            console.warn('Key vault is unavailable:', error);
+        }
+
         updateLoadingStatus('API 모델 목록 동기화 중...');
-        if (appState.settings.apiKey) {
+        const primaryKey = appState.settings.apiKeyAliases[0];
+        if (primaryKey || keyVaultStatus.hasDefaultKey) {
             try {
-                const models = await GeminiAPIService.getModels(appState.settings.apiKey);
+                const models = await GeminiAPIService.getModels(primaryKey?.id);
                 setAvailableModels(appState, models);
             } catch (error) {
                 console.error('Failed to load models:', error);
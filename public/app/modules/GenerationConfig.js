@@ -0,0 +1,104 @@
+// [Module] Generation parameters of a session: field definitions and model-aware validation.
+// Every session carries its own temperature/top-P (new sessions start from the defaults in settings); the
+// other parameters are stored only when set and otherwise fall back to the model's defaults. Both live in
+// session.generationConfig, and prompt templates carry the same shape as presets.
+export const RESPONSE_MIME_TYPES = ['text/plain', 'application/json'];
+const MAX_STOP_SEQUENCES = 5;
+const MAX_CANDIDATES = 8;
+const INT32_MAX = 2147483647;
+
+// [NEW] Sampling parameters shown next to the model selector.
+export const SAMPLING_FIELDS = [
+    { key: 'temperature', label: '온도', type: 'number', min: 0, max: 2 },
+    { key: 'topP', label: 'Top-P', type: 'number', min: 0, max: 1 },
+];
+
+// Parameters of the generation settings panel.
+export const GENERATION_FIELDS = [
+    { key: 'maxOutputTokens', label: '최대 출력 토큰', type: 'integer', min: 1 },
+    { key: 'topK', label: 'Top-K', type: 'integer', min: 1 },
+    { key: 'candidateCount', label: '답변 변형 수', type: 'integer', min: 1, max: MAX_CANDIDATES },
+    { key: 'seed', label: '시드', type: 'integer', min: -INT32_MAX - 1, max: INT32_MAX },
+    { key: 'presencePenalty', label: '존재 페널티', type: 'number', min: -2, max: 2, exclusiveMax: true },
+    { key: 'frequencyPenalty', label: '빈도 페널티', type: 'number', min: -2, max: 2, exclusiveMax: true },
+    { key: 'stopSequences', label: '중지 시퀀스', type: 'list', maxItems: MAX_STOP_SEQUENCES },
+    { key: 'responseMimeType', label: '응답 형식', type: 'enum', options: RESPONSE_MIME_TYPES },
+];
+
+// Model details (limits, top-K support) are only known for models listed by the API.
+function hasModelDetails(model) {
+    return !!model && model.inputTokenLimit !== undefined;
+}
+
+/** Bounds of a field for `model` ({ min, max, unsupported }). */
+export function getFieldLimits(field, model) {
+    const limits = { min: field.min, max: field.max };
+    if (!hasModelDetails(model)) return limits;
+    if (field.key === 'temperature' && model.maxTemperature) limits.max = model.maxTemperature;
+    if (field.key === 'maxOutputTokens' && model.outputTokenLimit) limits.max = model.outputTokenLimit;
+    if (field.key === 'topK' && model.topK === undefined) limits.unsupported = `${model.name || model.id} 모델은 Top-K를 지원하지 않습니다.`;
+    return limits;
+}
+
+/**
+ * Parses a raw input value. Empty input means "unset".
+ * @returns {{ value: any } | { error: string }}
+ */
+export function parseFieldValue(field, rawValue, model) {
+    const text = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    if (text === '' || text === undefined || text === null || (Array.isArray(text) && text.length === 0)) return { value: undefined };
+    const { min, max, unsupported } = getFieldLimits(field, model);
+    if (unsupported) return { error: unsupported };
+    switch (field.type) {
+        case 'integer':
+        case 'number': {
+            const value = Number(text);
+            if (!Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+                return { error: field.type === 'integer' ? '정수를 입력하세요.' : '숫자를 입력하세요.' };
+            }
+            if (min !== undefined && value < min) return { error: `${min} 이상이어야 합니다.` };
+            if (max !== undefined && (field.exclusiveMax ? value >= max : value > max)) {
+                return { error: field.exclusiveMax ? `${max} 미만이어야 합니다.` : `${max.toLocaleString()} 이하여야 합니다.` };
+            }
+            return { value };
+        }
+        case 'list': {
+            const items = (Array.isArray(text) ? text : text.split('\n')).filter(item => item !== '');
+            if (items.length > field.maxItems) return { error: `최대 ${field.maxItems}개까지 지정할 수 있습니다.` };
+            return { value: items.length > 0 ? items : undefined };
+        }
+        case 'enum':
+            return field.options.includes(text) ? { value: text } : { error: '지원하지 않는 값입니다.' };
+        default:
+            return { value: text };
+    }
+}
+
+/** Returns { key: message } for every stored parameter that is invalid for `model`. */
+export function validateGenerationConfig(config, model) {
+    const errors = {};
+    [...SAMPLING_FIELDS, ...GENERATION_FIELDS].forEach(field => {
+        if (config?.[field.key] === undefined) return;
+        const result = parseFieldValue(field, config[field.key], model);
+        if (result.error) errors[field.key] = `${field.label}: ${result.error}`;
+    });
+    return errors;
+}
+
+/** Drops unset parameters, so stored configs only contain what the user chose. */
+export function compactGenerationConfig(config) {
+    return Object.fromEntries(Object.entries(config || {}).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/** The default temperature/top-P new sessions start from. */
+export function getDefaultSamplingSettings(settings) {
+    return { temperature: settings?.temperature ?? 1.0, topP: settings?.topP ?? 0.9 };
+}
+
+/**
+ * Everything a request of `session` is generated with; sessions created before sampling settings
+ * were stored per session fall back to the defaults.
+ */
+export function resolveGenerationSettings(session, settings) {
+    return { ...getDefaultSamplingSettings(settings), ...(session?.generationConfig || {}) };
+}
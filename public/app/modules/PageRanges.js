@@ -0,0 +1,47 @@
+// [Module] PDF page ranges ("1-3, 7"), stored on attachments as sorted, merged 1-based [start, end] pairs.
+// The server applies the same normalization (server/pdfExtractor.js).
+
+/**
+ * Parses user input. Empty input selects every page.
+ * @returns {{ value: Array<[number, number]> | undefined } | { error: string }}
+ */
+export function parsePageRanges(text, pageCount) {
+    const input = (text || '').trim();
+    if (input === '') return { value: undefined };
+    const ranges = [];
+    for (const token of input.split(/[,\s]+/).filter(Boolean)) {
+        const match = token.match(/^(\d+)(?:-(\d*))?$/);
+        if (!match) return { error: `'${token}'은(는) 올바른 쪽 범위가 아닙니다. 예: 1-3, 7` };
+        const start = Number(match[1]);
+        // "5-" runs to the last page.
+        const end = match[2] === undefined ? start : (match[2] === '' ? pageCount : Number(match[2]));
+        if (!start || !end || start > end) return { error: `'${token}'은(는) 올바른 쪽 범위가 아닙니다.` };
+        if (pageCount && start > pageCount) return { error: `이 PDF는 ${pageCount}쪽까지 있습니다.` };
+        ranges.push([start, pageCount ? Math.min(end, pageCount) : end]);
+    }
+    const merged = ranges.sort((a, b) => a[0] - b[0]).reduce((result, range) => {
+        const last = result[result.length - 1];
+        if (last && range[0] <= last[1] + 1) last[1] = Math.max(last[1], range[1]);
+        else result.push(range);
+        return result;
+    }, []);
+    // Selecting every page is the same as no selection.
+    if (pageCount && merged.length === 1 && merged[0][0] === 1 && merged[0][1] === pageCount) return { value: undefined };
+    return { value: merged };
+}
+
+export function formatPageRanges(ranges) {
+    return (ranges || []).map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+export function countSelectedPages(ranges, pageCount) {
+    if (!ranges?.length) return pageCount;
+    return ranges.reduce((sum, [start, end]) => sum + end - start + 1, 0);
+}
+
+/** Characters of the selected pages, or undefined when per-page counts are unknown. */
+export function countSelectedChars(pageCharCounts, ranges) {
+    if (!Array.isArray(pageCharCounts)) return undefined;
+    if (!ranges?.length) return pageCharCounts.reduce((sum, count) => sum + count, 0);
+    return ranges.reduce((sum, [start, end]) => sum + pageCharCounts.slice(start - 1, end).reduce((acc, count) => acc + count, 0), 0);
+}
@@ -0,0 +1,200 @@
+// [CoreDNA] This module maintains an incremental inverted index over every session for full-text search.
+// Indexed fields: session titles and tags, message text, and attachment filenames.
+// Only sessions whose signature changed are revisited, and only messages whose text changed are re-tokenized.
+const SNIPPET_RADIUS = 60;
+const DEFAULT_RESULT_LIMIT = 50;
+
+const documents = new Map();        // docKey -> { sessionId, messageId, field, text, role }
+const postings = new Map();         // token -> Set<docKey>
+const sessionDocKeys = new Map();   // sessionId -> Set<docKey>
+const sessionSignatures = new Map(); // sessionId -> signature string
+let sortedTokens = null;            // Lazily rebuilt sorted token list for prefix lookups.
+
+function tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function getSessionSignature(session) {
+    return `${session.lastModified}|${session.history?.length || 0}|${session.title}|${(session.tags || []).join(',')}`;
+}
+
+function getMessageContent(message) {
+    const texts = [];
+    const filenames = [];
+    (message.parts || []).forEach(part => {
+        if (part.type === 'text' && part.text) texts.push(part.text);
+        else if (part.type === 'pdf-attachment' && part.name) filenames.push(part.name);
+        else if (part.type === 'code-summary' && part.summary?.filename) filenames.push(part.summary.filename);
+        else if (part.name) filenames.push(part.name);
+    });
+    return { text: texts.join('\n'), filenames };
+}
+
+function addDocument(docKey, doc) {
+    documents.set(docKey, doc);
+    new Set(tokenize(doc.text)).forEach(token => {
+        if (!postings.has(token)) {
+            postings.set(token, new Set());
+            sortedTokens = null;
+        }
+        postings.get(token).add(docKey);
+    });
+    if (!sessionDocKeys.has(doc.sessionId)) sessionDocKeys.set(doc.sessionId, new Set());
+    sessionDocKeys.get(doc.sessionId).add(docKey);
+}
+
+function removeDocument(docKey) {
+    const doc = documents.get(docKey);
+    if (!doc) return;
+    new Set(tokenize(doc.text)).forEach(token => {
+        const docKeys = postings.get(token);
+        if (!docKeys) return;
+        docKeys.delete(docKey);
+        if (docKeys.size === 0) {
+            postings.delete(token);
+            sortedTokens = null;
+        }
+    });
+    documents.delete(docKey);
+    sessionDocKeys.get(doc.sessionId)?.delete(docKey);
+}
+
+function upsertDocument(docKey, doc) {
+    const existing = documents.get(docKey);
+    if (existing && existing.text === doc.text) return;
+    removeDocument(docKey);
+    addDocument(docKey, doc);
+}
+
+function indexSession(session) {
+    const liveKeys = new Set();
+    const put = (docKey, doc) => { liveKeys.add(docKey); upsertDocument(docKey, doc); };
+
+    put(`${session.id}::title`, { sessionId: session.id, messageId: null, field: 'title', text: session.title || '' });
+    if (session.tags?.length) {
+        put(`${session.id}::tags`, { sessionId: session.id, messageId: null, field: 'tag', text: session.tags.join(' ') });
+    }
+    (session.history || []).forEach(message => {
+        if (!message?.id) return;
+        const { text, filenames } = getMessageContent(message);
+        if (text) put(`${session.id}::${message.id}::text`, { sessionId: session.id, messageId: message.id, field: 'message', text, role: message.role });
+        if (filenames.length) put(`${session.id}::${message.id}::files`, { sessionId: session.id, messageId: message.id, field: 'attachment', text: filenames.join(' '), role: message.role });
+    });
+
+    [...(sessionDocKeys.get(session.id) || [])].forEach(docKey => {
+        if (!liveKeys.has(docKey)) removeDocument(docKey);
+    });
+}
+
+function removeSession(sessionId) {
+    [...(sessionDocKeys.get(sessionId) || [])].forEach(removeDocument);
+    sessionDocKeys.delete(sessionId);
+    sessionSignatures.delete(sessionId);
+}
+
+// Brings the index up to date with the given sessions. Cheap when nothing changed.
+export function sync(sessions) {
+    Object.values(sessions).forEach(session => {
+        const signature = getSessionSignature(session);
+        if (sessionSignatures.get(session.id) === signature) return;
+        indexSession(session);
+        sessionSignatures.set(session.id, signature);
+    });
+    [...sessionSignatures.keys()].forEach(sessionId => {
+        if (!sessions[sessionId]) removeSession(sessionId);
+    });
+}
+
+function getSortedTokens() {
+    if (!sortedTokens) sortedTokens = [...postings.keys()].sort();
+    return sortedTokens;
+}
+
+// Collects every doc whose tokens start with the given prefix (binary search over the sorted token list).
+function findDocsByPrefix(prefix) {
+    const tokens = getSortedTokens();
+    let low = 0, high = tokens.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (tokens[mid] < prefix) low = mid + 1; else high = mid;
+    }
+    const matches = new Map(); // docKey -> exact match?
+    for (let i = low; i < tokens.length && tokens[i].startsWith(prefix); i++) {
+        const isExact = tokens[i] === prefix;
+        postings.get(tokens[i]).forEach(docKey => {
+            matches.set(docKey, matches.get(docKey) || isExact);
+        });
+    }
+    return matches;
+}
+
+function buildSnippet(text, queryTokens) {
+    const lowerText = text.toLowerCase();
+    const firstHit = queryTokens
+        .map(token => lowerText.indexOf(token))
+        .filter(index => index !== -1)
+        .reduce((min, index) => Math.min(min, index), Infinity);
+    const center = firstHit === Infinity ? 0 : firstHit;
+    const start = Math.max(0, center - SNIPPET_RADIUS);
+    const end = Math.min(text.length, center + SNIPPET_RADIUS * 2);
+    const snippetText = `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+
+    // Highlight ranges are computed on the final snippet string so whitespace collapsing can't shift them.
+    const lowerSnippet = snippetText.toLowerCase();
+    const ranges = [];
+    queryTokens.forEach(token => {
+        let index = lowerSnippet.indexOf(token);
+        while (index !== -1) {
+            ranges.push([index, index + token.length]);
+            index = lowerSnippet.indexOf(token, index + token.length);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = ranges.reduce((acc, range) => {
+        const last = acc[acc.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else acc.push([...range]);
+        return acc;
+    }, []);
+    return { text: snippetText, ranges: merged };
+}
+
+const FIELD_WEIGHT = { title: 4, tag: 3, attachment: 2, message: 1 };
+
+/**
+ * Searches the index. Every query token must match (as a prefix) within the same document.
+ * @returns {Array<{sessionId, messageId, field, role, score, snippet: {text, ranges}}>}
+ */
+export function search(query, sessions, limit = DEFAULT_RESULT_LIMIT) {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) return [];
+
+    let candidates = null; // docKey -> exact match count
+    for (const token of queryTokens) {
+        const matches = findDocsByPrefix(token);
+        const next = new Map();
+        matches.forEach((isExact, docKey) => {
+            if (candidates && !candidates.has(docKey)) return;
+            next.set(docKey, (candidates?.get(docKey) || 0) + (isExact ? 1 : 0));
+        });
+        candidates = next;
+        if (candidates.size === 0) return [];
+    }
+
+    return [...candidates.entries()]
+        .map(([docKey, exactCount]) => {
+            const doc = documents.get(docKey);
+            return {
+                sessionId: doc.sessionId,
+                messageId: doc.messageId,
+                field: doc.field,
+                role: doc.role || null,
+                score: FIELD_WEIGHT[doc.field] * 10 + exactCount,
+                lastModified: sessions[doc.sessionId]?.lastModified || 0,
+                doc,
+            };
+        })
+        .sort((a, b) => (b.score - a.score) || (b.lastModified - a.lastModified))
+        .slice(0, limit)
+        .map(({ doc, lastModified, ...result }) => ({ ...result, snippet: buildSnippet(doc.text, queryTokens) }));
+}
@@ -1,19 +1,24 @@
-// [Module] Manages API Key and Model settings UI and logic.
+// [Module] Manages the API key vault and model settings UI and logic.
+// [MODIFIED] Keys are added, validated and removed through the server vault (KeyVaultService);
+// only aliases and the last four characters are ever shown or stored here.
 import { saveData } from '../../../utils/storage.js';
 import { createDOMElement } from '../../../components/common.js';
 import * as Modal from '../../../../components/Modal.js';
+import * as KeyVaultService from '../../services/KeyVaultService.js';
 
 let appState, elements, controller;
 let allAvailableModels = [];
+let vaultStatus = { initialized: false, unlocked: false, hasDefaultKey: false, keys: [] };
 
-const getApiKeyIdentifier = (key) => key ? `key_${key.slice(-4)}` : 'no_key';
+const getApiKeyIdentifier = (key) => key ? `key_${key.last4}` : 'no_key';
+const getPrimaryKey = () => (appState.settings.apiKeyAliases || [])[0] || null;
 
 async function fetchAllModels() {
     if (allAvailableModels.length > 0) return allAvailableModels;
-    const apiKeyToUse = appState.settings?.apiKey || (appState.settings?.fallbackApiKeys || [])[0];
-    if (apiKeyToUse) {
+    const primaryKey = getPrimaryKey();
+    if (primaryKey || vaultStatus.hasDefaultKey) {
         try {
-            const response = await fetch('/api/models', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ apiKey: apiKeyToUse }) });
+            const response = await fetch('/api/models', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ keyId: primaryKey?.id }) });
             const data = await response.json();
             if (!response.ok) throw new Error(data.message);
             allAvailableModels = data.models;
@@ -50,7 +55,12 @@ function createModelCard(model) {
     const dailyLimits = appState.settings.dailyLimits || {};
     const limit = dailyLimits[id] || 0;
     const modelCosts = appState.settings.modelCosts[id] || { input: 0, output: 0 };
-    const primaryKeyId = getApiKeyIdentifier(appState.settings.apiKey);
+    const fallbackModel = (appState.settings.modelFallbacks || {})[id] || '';
+    const fallbackOptions = getManagedModelsSorted()
+        .filter(m => m.id !== id)
+        .map(m => `<option value="${m.id}" ${m.id === fallbackModel ? 'selected' : ''}>${m.name}</option>`)
+        .join('');
+    const primaryKeyId = getApiKeyIdentifier(getPrimaryKey());
     const usage = appState.dailyUsage?.usageByKey?.[primaryKeyId]?.calls?.[id] || 0;
     const usagePercent = limit > 0 ? (usage / limit) * 100 : 0;
 
@@ -79,6 +89,13 @@ function createModelCard(model) {
                 <label for="cost-output-${id}">출력 비용 ($/1M)</label>
                  <input type="number" id="cost-output-${id}" step="0.01" data-model-id="${id}" data-setting-type="modelCost" data-cost-type="output" data-value-type="float" value="${modelCosts.output}">
             </div>
+            <div class="control-group">
+                <label for="fallback-${id}" title="할당량 소진·모델 사용 불가 시 대신 사용할 모델">대체 모델</label>
+                <select id="fallback-${id}" data-model-id="${id}" data-setting-type="modelFallback">
+                    <option value="">없음</option>
+                    ${fallbackOptions}
+                </select>
+            </div>
         </div>
         <div class="usage-text">오늘 사용량: ${usage} / ${limit === 0 ? '∞' : limit}</div>
     `;
@@ -105,8 +122,8 @@ function renderModelDashboard() {
 
 async function render() {
     const container = document.getElementById('model-dashboard-container');
-    if (!appState.settings?.apiKey) {
-        container.innerHTML = `<p class="status-error" style="text-align: center;">기본 API 키를 먼저 검증하세요</p>`;
+    if (!getPrimaryKey() && !vaultStatus.hasDefaultKey) {
+        container.innerHTML = `<p class="status-error" style="text-align: center;">API 키 보관함에 키를 먼저 추가하세요</p>`;
         return;
     }
     await fetchAllModels();
@@ -123,68 +140,118 @@ function handleToggleFavorite(modelId) {
     render();
 }
 
-function renderFallbackKeysList() {
-    elements.fallbackKeysList.innerHTML = '';
-    const fallbackKeys = appState.settings.fallbackApiKeys || [];
-    fallbackKeys.forEach((key, index) => {
-        const item = createDOMElement('div', { class: 'fallback-key-item' });
-        item.innerHTML = `
-            <div class="fallback-key-content">
-                <div class="api-input-wrapper">
-                    <input type="password" class="fallback-key-input" placeholder="대체 API 키 #${index + 1}" value="${key}">
-                    <button class="validate-fallback-btn">검증</button>
-                </div><div class="status-message"></div>
-            </div>
-            <button class="delete-fallback-btn" title="삭제">×</button>
-        `;
-        item.querySelector('.validate-fallback-btn').addEventListener('click', () => handleValidateKey('fallback', index));
-        item.querySelector('.delete-fallback-btn').addEventListener('click', () => handleDeleteFallbackKey(index));
-        elements.fallbackKeysList.appendChild(item);
-    });
+function setVaultMessage(message, type = '') {
+    elements.keyVaultStatus.textContent = message;
+    elements.keyVaultStatus.className = `status-message ${type ? `status-${type}` : ''}`;
 }
 
-function handleAddFallbackKey() {
-    // 토스트 알림 표시
-    import('../../../components/Toast.js').then(({ show }) => {
-        show('⚠️ 대체 API 키 기능은 현재 불안정한 상태입니다. 나중에 수정될 예정입니다.', 'warning');
+function renderKeyVault() {
+    const { initialized, unlocked } = vaultStatus;
+    elements.keyVaultUnlock.classList.toggle('hidden', unlocked);
+    elements.addApiKeyForm.classList.toggle('hidden', !unlocked);
+    elements.keyVaultUnlockBtn.textContent = initialized ? '잠금 해제' : '보관함 만들기';
+    elements.keyVaultPassphraseInput.placeholder = initialized ? '보관함 패스프레이즈' : '새 패스프레이즈 (8자 이상)';
+    if (!unlocked) {
+        setVaultMessage(initialized
+            ? '보관함이 잠겨 있습니다. 서버를 시작할 때 입력한 패스프레이즈로 잠금을 해제하세요.'
+            : '아직 보관함이 없습니다. 패스프레이즈를 정하면 암호화된 보관함이 서버에 만들어집니다.');
+    }
+    elements.apiKeyList.innerHTML = '';
+    (appState.settings.apiKeyAliases || []).forEach((key, index) => {
+        const statusEl = createDOMElement('div', { class: 'status-message' });
+        const validateBtn = createDOMElement('button', { class: 'validate-fallback-btn', disabled: !unlocked }, '검증');
+        const deleteBtn = createDOMElement('button', { class: 'delete-fallback-btn', title: '삭제', disabled: !unlocked }, '×');
+        const item = createDOMElement('div', { class: 'fallback-key-item', 'data-key-id': key.id },
+            createDOMElement('div', { class: 'fallback-key-content' },
+                createDOMElement('div', { class: 'api-key-meta' },
+                    createDOMElement('span', { class: 'api-key-alias' }, key.alias),
+                    createDOMElement('span', { class: 'api-key-last4' }, `••••${key.last4}`),
+                    index === 0 ? createDOMElement('span', { class: 'api-key-badge' }, '기본') : '',
+                    validateBtn
+                ),
+                statusEl
+            ),
+            deleteBtn
+        );
+        validateBtn.addEventListener('click', () => handleValidateKey(key, statusEl));
+        deleteBtn.addEventListener('click', () => handleRemoveKey(key));
+        elements.apiKeyList.appendChild(item);
     });
-    
-    if (!appState.settings.fallbackApiKeys) appState.settings.fallbackApiKeys = [];
-    appState.settings.fallbackApiKeys.push('');
-    saveData(appState);
-    renderFallbackKeysList();
 }
 
-function handleDeleteFallbackKey(index) {
-    appState.settings.fallbackApiKeys.splice(index, 1);
-    saveData(appState);
-    renderFallbackKeysList();
+function applyVaultStatus(status) {
+    vaultStatus = status;
+    KeyVaultService.applyStatus(appState, status);
+    renderKeyVault();
 }
 
-async function handleValidateKey(keyType, index = -1) {
-    let inputEl, statusEl;
-    if (keyType === 'primary') {
-        inputEl = elements.apiKeyInput;
-        statusEl = elements.validationStatus;
-    } else {
-        const item = elements.fallbackKeysList.children[index];
-        if (!item) return;
-        inputEl = item.querySelector('.fallback-key-input');
-        statusEl = item.querySelector('.status-message');
+async function refreshVaultStatus() {
+    try {
+        applyVaultStatus(await KeyVaultService.fetchStatus());
+    } catch (error) {
+        setVaultMessage(`보관함 상태를 불러올 수 없습니다: ${error.message}`, 'error');
+    }
+}
+
+async function handleUnlockVault() {
+    const passphrase = elements.keyVaultPassphraseInput.value;
+    if (!passphrase) { setVaultMessage('패스프레이즈를 입력해주세요.', 'error'); return; }
+    const creating = !vaultStatus.initialized;
+    setVaultMessage(creating ? '보관함 만드는 중...' : '잠금 해제 중...');
+    try {
+        const status = creating ? await KeyVaultService.init(passphrase) : await KeyVaultService.unlock(passphrase);
+        elements.keyVaultPassphraseInput.value = '';
+        applyVaultStatus(status);
+        const moved = await KeyVaultService.migrateLegacyKeys(appState, status);
+        if (moved > 0) await refreshVaultStatus();
+        const done = creating ? '보관함을 만들었습니다.' : '잠금 해제됨.';
+        setVaultMessage(moved > 0 ? `${done} 브라우저에 저장돼 있던 키 ${moved}개를 보관함으로 옮겼습니다.` : done, 'success');
+        allAvailableModels = [];
+        await render();
+    } catch (error) {
+        // Another browser may have created the vault in the meantime.
+        if (error.status === 404 || error.status === 409) await refreshVaultStatus();
+        setVaultMessage(`${creating ? '보관함 만들기' : '잠금 해제'} 실패: ${error.message}`, 'error');
+    }
+}
+
+async function handleAddKey() {
+    const alias = elements.newApiKeyAliasInput.value.trim();
+    const apiKey = elements.newApiKeyInput.value.trim();
+    if (!alias || !apiKey) { setVaultMessage('별칭과 API 키를 모두 입력해주세요.', 'error'); return; }
+    setVaultMessage('검증 중...');
+    try {
+        const key = await KeyVaultService.addKey(alias, apiKey);
+        elements.newApiKeyAliasInput.value = '';
+        elements.newApiKeyInput.value = '';
+        await refreshVaultStatus();
+        setVaultMessage(`'${key.alias}' 키를 추가했습니다.`, 'success');
+        if (getPrimaryKey()?.id === key.id) { allAvailableModels = []; await render(); }
+    } catch (error) {
+        setVaultMessage(`추가 실패: ${error.message}`.substring(0, 100), 'error');
     }
-    const apiKey = inputEl.value.trim();
-    if (!apiKey) { statusEl.textContent = 'API 키를 입력해주세요.'; statusEl.className = 'status-message status-error'; return; }
+}
+
+async function handleValidateKey(key, statusEl) {
     statusEl.textContent = '검증 중...'; statusEl.className = 'status-message';
     try {
-        const response = await fetch('/api/validate', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ apiKey }) });
-        const data = await response.json();
-        if (response.ok && data.valid) {
-            statusEl.textContent = '성공! API 키가 유효합니다.'; statusEl.className = 'status-message status-success';
-            if (keyType === 'primary') { allAvailableModels = []; await render(); }
-        } else { throw new Error(data.message); }
+        await KeyVaultService.validateKey(key.id);
+        statusEl.textContent = '성공! API 키가 유효합니다.'; statusEl.className = 'status-message status-success';
     } catch (error) { statusEl.textContent = `검증 실패: ${error.message}`.substring(0, 100); statusEl.className = 'status-message status-error'; }
 }
 
+async function handleRemoveKey(key) {
+    if (!confirm(`'${key.alias}' (••••${key.last4}) 키를 보관함에서 삭제하시겠습니까?`)) return;
+    const wasPrimary = getPrimaryKey()?.id === key.id;
+    try {
+        await KeyVaultService.removeKey(key.id);
+        await refreshVaultStatus();
+        if (wasPrimary) { allAvailableModels = []; await render(); }
+    } catch (error) {
+        setVaultMessage(`삭제 실패: ${error.message}`, 'error');
+    }
+}
+
 function handleAddModel(modelId) {
     if (!appState.settings.managedModels.includes(modelId)) {
         appState.settings.managedModels.push(modelId);
@@ -213,6 +280,10 @@ function handleRemoveModel(modelId) {
         appState.settings.managedModels = appState.settings.managedModels.filter(id => id !== modelId);
         delete appState.settings.dailyLimits[modelId];
         delete appState.settings.modelCosts[modelId];
+        // Chains through the removed model are cut at that point.
+        const fallbacks = appState.settings.modelFallbacks || {};
+        delete fallbacks[modelId];
+        Object.keys(fallbacks).forEach(id => { if (fallbacks[id] === modelId) delete fallbacks[id]; });
         appState.settings.favoriteModels = appState.settings.favoriteModels.filter(id => id !== modelId);
         saveData(appState);
         render();
@@ -253,17 +324,10 @@ export const ApiSettings = {
         appState = _appState;
         elements = _elements;
         controller = _controller;
-        elements.validateKeyBtn.addEventListener('click', () => handleValidateKey('primary'));
-        elements.addFallbackKeyBtn.addEventListener('click', handleAddFallbackKey);
+        elements.keyVaultUnlockBtn.addEventListener('click', handleUnlockVault);
+        elements.keyVaultPassphraseInput.addEventListener('keydown', e => { if (e.key === 'Enter') handleUnlockVault(); });
+        elements.addApiKeyBtn.addEventListener('click', handleAddKey);
         document.getElementById('add-model-btn')?.addEventListener('click', showAddModelModal);
-        elements.apiKeyInput.addEventListener('input', e => { appState.settings.apiKey = e.target.value.trim(); saveData(appState); });
-        elements.fallbackKeysList.addEventListener('input', e => {
-            if (e.target.classList.contains('fallback-key-input')) {
-                const inputs = Array.from(elements.fallbackKeysList.querySelectorAll('.fallback-key-input'));
-                appState.settings.fallbackApiKeys = inputs.map(input => input.value.trim());
-                saveData(appState);
-            }
-        });
         const dashboardContainer = document.getElementById('model-dashboard-container');
         if(dashboardContainer) {
             dashboardContainer.addEventListener('click', e => {
@@ -273,6 +337,14 @@ export const ApiSettings = {
                 const removeButton = e.target.closest('.remove-model-btn');
                 if(removeButton) handleRemoveModel(removeButton.dataset.modelId);
             });
+            dashboardContainer.addEventListener('change', e => {
+                const select = e.target;
+                if (!select.matches('select[data-setting-type="modelFallback"]')) return;
+                if (!appState.settings.modelFallbacks) appState.settings.modelFallbacks = {};
+                if (select.value) appState.settings.modelFallbacks[select.dataset.modelId] = select.value;
+                else delete appState.settings.modelFallbacks[select.dataset.modelId];
+                saveData(appState);
+            });
             dashboardContainer.addEventListener('input', e => {
                 const input = e.target;
                 if (input.matches('input[type="number"]')) {
@@ -316,9 +388,9 @@ export const ApiSettings = {
             }
         });
     },
-    render() {
-        elements.apiKeyInput.value = appState.settings?.apiKey || '';
-        renderFallbackKeysList();
+    async render() {
+        renderKeyVault();
+        await refreshVaultStatus();
         render();
     }
 };
\ No newline at end of file
@@ -1,5 +1,7 @@
-// [Module] Manages general app settings like typing speed and data reset.
+// [Module] Manages general app settings like typing speed, backup/restore and data reset.
 import { saveData } from '../../../utils/storage.js';
+import * as BackupService from '../../services/BackupService.js';
+import { downloadFile } from '../../services/ExportService.js';
 
 let appState, elements, controller;
 
@@ -32,6 +34,55 @@ function handleClearUsageHistory() {
     }
 }
 
+// [NEW] Backup & Restore
+async function handleBackupAll() {
+    let archive;
+    try {
+        archive = await BackupService.createBackup();
+    } catch (error) {
+        alert(`백업 실패: ${error.message}`);
+        return;
+    }
+    downloadFile(JSON.stringify(archive, null, 2), BackupService.toFileName(archive), 'application/json;charset=utf-8');
+}
+
+async function handleRestoreFile(file) {
+    let archive;
+    try {
+        archive = BackupService.parseBackup(await file.text());
+    } catch (error) {
+        alert(`복원 실패: ${error.message}`);
+        return;
+    }
+    const mode = Array.from(elements.restoreModeRadios).find(radio => radio.checked)?.value || 'merge';
+    const description = BackupService.describeBackup(archive);
+    const question = mode === 'replace'
+        ? `현재의 모든 대화·폴더·템플릿·설정이 백업 내용으로 교체됩니다.\n\n${description}\n\n계속하시겠습니까?`
+        : `백업 내용을 현재 데이터와 병합합니다.\n\n${description}\n\n계속하시겠습니까?`;
+    if (!confirm(question)) return;
+    const failedFiles = await BackupService.restoreBackup(archive, mode);
+    document.dispatchEvent(new CustomEvent('state-restored'));
+    alert(failedFiles > 0 ? `백업을 복원했습니다. 첨부 파일 ${failedFiles}개는 복원하지 못했습니다.` : '백업을 복원했습니다.');
+    if (controller) controller.render();
+}
+
+// [NEW] Compaction mode and its summary model (managed models, plus the current choice if it isn't one).
+function renderCompactionSettings() {
+    const mode = appState.settings?.historyCompaction || 'truncate';
+    elements.historyCompactionRadios.forEach(radio => {
+        radio.checked = radio.value === mode;
+    });
+    const current = appState.settings?.compactionModel || '';
+    const modelIds = [...(appState.settings?.managedModels || [])];
+    if (current && !modelIds.includes(current)) modelIds.unshift(current);
+    elements.compactionModelSelect.innerHTML = '';
+    modelIds.forEach(id => {
+        const name = appState.availableModels.find(m => m.id === id)?.name || id;
+        elements.compactionModelSelect.appendChild(new Option(name, id, false, id === current));
+    });
+    elements.compactionModelSelect.disabled = mode !== 'summarize';
+}
+
 export const GeneralSettings = {
     init(_appState, _elements, _controller) {
         appState = _appState;
@@ -39,6 +90,19 @@ export const GeneralSettings = {
         controller = _controller; // Store reference to parent controller
 
         elements.resetSessionsBtn.addEventListener('click', handleResetAllSessions);
+        elements.backupAllBtn.addEventListener('click', handleBackupAll);
+        elements.restoreBackupBtn.addEventListener('click', () => elements.restoreBackupInput.click());
+        elements.restoreBackupInput.addEventListener('change', e => {
+            const file = e.target.files?.[0];
+            if (file) handleRestoreFile(file);
+            e.target.value = '';
+        });
+        elements.importSessionsBtn.addEventListener('click', () => elements.importSessionsInput.click());
+        elements.importSessionsInput.addEventListener('change', e => {
+            const file = e.target.files?.[0];
+            if (file) document.dispatchEvent(new CustomEvent('request-session-import', { detail: { file } }));
+            e.target.value = ''; // Allow re-selecting the same file.
+        });
         elements.clearUsageHistoryBtn.addEventListener('click', handleClearUsageHistory);
 
         elements.typingSpeedSlider.addEventListener('input', (e) => {
@@ -47,6 +111,10 @@ export const GeneralSettings = {
             elements.typingSpeedValue.textContent = speed;
             saveData(appState);
         });
+        elements.streamResponsesToggle.addEventListener('change', e => {
+            appState.settings.streamResponses = e.target.checked;
+            saveData(appState);
+        });
         elements.mathRendererRadios.forEach(radio => radio.addEventListener('change', e => {
             if(e.target.checked) {
                 appState.settings.mathRenderer = e.target.value;
@@ -57,12 +125,32 @@ export const GeneralSettings = {
             appState.settings.historyTokenLimit = parseInt(e.target.value, 10) || 0;
             saveData(appState);
         });
+        elements.historyCompactionRadios.forEach(radio => radio.addEventListener('change', e => {
+            if (e.target.checked) {
+                appState.settings.historyCompaction = e.target.value;
+                saveData(appState);
+                renderCompactionSettings();
+            }
+        }));
+        elements.compactionModelSelect.addEventListener('change', e => {
+            appState.settings.compactionModel = e.target.value;
+            saveData(appState);
+        });
+        elements.maxRetryAttemptsInput.addEventListener('input', e => {
+            const attempts = parseInt(e.target.value, 10);
+            if (!attempts) return;
+            appState.settings.maxRetryAttempts = Math.min(Math.max(attempts, 1), 8);
+            saveData(appState);
+        });
     },
     render() {
         elements.historyTokenLimitInput.value = appState.settings?.historyTokenLimit || 0;
+        elements.maxRetryAttemptsInput.value = appState.settings?.maxRetryAttempts ?? 4;
+        renderCompactionSettings();
         const typingSpeed = appState.settings?.typingSpeed ?? 30;
         elements.typingSpeedSlider.value = typingSpeed;
         elements.typingSpeedValue.textContent = typingSpeed;
+        elements.streamResponsesToggle.checked = appState.settings?.streamResponses ?? true;
         elements.mathRendererRadios.forEach(radio => {
             radio.checked = radio.value === (appState.settings?.mathRenderer || 'katex');
         });
@@ -0,0 +1,167 @@
+// [Service] Creates and restores versioned backups of all persistent app data.
+import { appState, sanitizePersistentState, replaceState, saveState } from '../state/AppState.js';
+import { collectStoredFiles, readStoredFileAsDataUrl, restoreStoredFiles } from './FileService.js';
+
+export const BACKUP_FORMAT = 'gemini-chat-backup';
+// [MODIFIED] v2 carries the referenced file-store attachments (files: { [fileId]: { name, data } }).
+export const BACKUP_VERSION = 2;
+
+// Key references belong to this server's vault, and legacy plaintext keys are never written out.
+const KEY_SETTINGS = ['apiKeyAliases', 'apiKey', 'fallbackApiKeys'];
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value ?? null));
+}
+
+// Attachments the server no longer has are left out; their messages still restore.
+async function collectFiles(sessions) {
+    const files = {};
+    for (const [fileId, name] of collectStoredFiles(Object.values(sessions))) {
+        try {
+            files[fileId] = { name, data: await readStoredFileAsDataUrl(fileId) };
+        } catch (error) {
+            console.warn(`[Backup] Leaving out ${name || fileId}:`, error.message);
+        }
+    }
+    return files;
+}
+
+// Builds a backup archive of sessions, folders, prompt templates, settings, usage data and attachments.
+export async function createBackup() {
+    const settings = clone(appState.settings);
+    KEY_SETTINGS.forEach(key => delete settings[key]);
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: Date.now(),
+        data: {
+            sessions: clone(appState.sessions),
+            sidebarItems: clone(appState.sidebarItems),
+            promptTemplates: clone(appState.promptTemplates),
+            settings,
+            usage: clone(appState.usage),
+            dailyUsage: clone(appState.dailyUsage),
+            isDarkMode: appState.isDarkMode,
+            isSidebarCollapsed: appState.isSidebarCollapsed,
+        },
+        files: await collectFiles(appState.sessions),
+    };
+}
+
+export function toFileName(archive) {
+    const date = new Date(archive.createdAt).toISOString().slice(0, 10);
+    return `gemini-chat-backup-${date}.json`;
+}
+
+/**
+ * Parses and validates a backup file. Throws with a user-facing message when the archive is unusable.
+ * @returns {object} The archive.
+ */
+export function parseBackup(text) {
+    let archive;
+    try {
+        archive = JSON.parse(text);
+    } catch (error) {
+        throw new Error('백업 파일을 읽을 수 없습니다. JSON 형식이 아닙니다.');
+    }
+    if (archive?.format !== BACKUP_FORMAT) throw new Error('이 앱의 백업 파일이 아닙니다.');
+    if (typeof archive.version !== 'number' || archive.version > BACKUP_VERSION) {
+        throw new Error(`지원하지 않는 백업 버전입니다 (v${archive.version}). 앱을 업데이트한 뒤 다시 시도하세요.`);
+    }
+    const { data } = archive;
+    if (!data || typeof data !== 'object') throw new Error('백업 데이터가 비어 있습니다.');
+    if (!data.sessions || typeof data.sessions !== 'object' || Array.isArray(data.sessions)) throw new Error('백업의 세션 데이터가 올바르지 않습니다.');
+    const invalidSession = Object.entries(data.sessions).find(([id, session]) => !session || session.id !== id || !Array.isArray(session.history));
+    if (invalidSession) throw new Error(`손상된 세션이 포함되어 있습니다: ${invalidSession[0]}`);
+    ['sidebarItems', 'promptTemplates', 'usage'].forEach(key => {
+        if (data[key] !== undefined && !Array.isArray(data[key])) throw new Error(`백업의 ${key} 데이터가 올바르지 않습니다.`);
+    });
+    if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) throw new Error('백업의 설정 데이터가 올바르지 않습니다.');
+    if (archive.files !== undefined && (typeof archive.files !== 'object' || Array.isArray(archive.files))) throw new Error('백업의 첨부 파일 데이터가 올바르지 않습니다.');
+    return archive;
+}
+
+export function describeBackup(archive) {
+    const sessionCount = Object.keys(archive.data.sessions).length;
+    const templateCount = archive.data.promptTemplates?.length || 0;
+    const fileCount = Object.keys(archive.files || {}).length;
+    return `${new Date(archive.createdAt).toLocaleString()} · 대화 ${sessionCount}개 · 프롬프트 템플릿 ${templateCount}개 · 첨부 파일 ${fileCount}개`;
+}
+
+function collectSessionIds(items, ids = new Set()) {
+    items.forEach(item => {
+        if (item.type === 'folder') collectSessionIds(item.children || [], ids);
+        else ids.add(item.id);
+    });
+    return ids;
+}
+
+// Removes session references already present in the current tree; empty folders are dropped.
+function pruneKnownItems(items, knownIds) {
+    return items.reduce((acc, item) => {
+        if (item.type === 'folder') {
+            const children = pruneKnownItems(item.children || [], knownIds);
+            if (children.length > 0) acc.push({ ...item, children });
+        } else if (!knownIds.has(item.id)) {
+            knownIds.add(item.id);
+            acc.push(item);
+        }
+        return acc;
+    }, []);
+}
+
+// Merge keeps current settings; sessions present in both are resolved by the newer lastModified.
+function mergeBackup(data, restoredAt) {
+    Object.values(data.sessions).forEach(session => {
+        const existing = appState.sessions[session.id];
+        if (!existing || (session.lastModified || 0) > (existing.lastModified || 0)) {
+            appState.sessions[session.id] = { ...session, tags: session.tags || [], branchPoints: session.branchPoints || {}, systemPromptId: session.systemPromptId || null, restoredAt };
+        }
+    });
+
+    const knownIds = collectSessionIds(appState.sidebarItems);
+    const addedItems = pruneKnownItems(data.sidebarItems || [], knownIds);
+    Object.keys(data.sessions).forEach(sessionId => {
+        if (!knownIds.has(sessionId)) addedItems.push({ type: 'session', id: sessionId });
+    });
+    appState.sidebarItems.push(...addedItems);
+
+    const templateIds = new Set(appState.promptTemplates.map(t => t.id));
+    appState.promptTemplates.push(...(data.promptTemplates || []).filter(t => !templateIds.has(t.id)));
+
+    const usageKeys = new Set(appState.usage.map(u => `${u.timestamp}|${u.model}|${u.sessionId}`));
+    appState.usage.push(...(data.usage || []).filter(u => !usageKeys.has(`${u.timestamp}|${u.model}|${u.sessionId}`)));
+    appState.usage.sort((a, b) => a.timestamp - b.timestamp);
+
+    saveState();
+}
+
+/**
+ * Restores a validated archive. Attachments go back into the server's file store first.
+ * @param {object} archive
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<number>} Number of attachments that could not be restored.
+ */
+export async function restoreBackup(archive, mode) {
+    const failedFiles = await restoreStoredFiles(archive.files, appState.settings.apiKeyAliases?.[0]?.id);
+    const data = sanitizePersistentState(clone(archive.data));
+    // Marks the sessions as deliberately brought back, so the server's record of their deletion doesn't win.
+    const restoredAt = Date.now();
+    if (mode === 'merge') {
+        mergeBackup(data, restoredAt);
+        return failedFiles;
+    }
+    // The vault keys of this server stay selected. Plaintext keys from older backups are kept
+    // only until the 'state-restored' handler moves them into the vault.
+    const settings = { ...(data.settings || {}), apiKeyAliases: appState.settings.apiKeyAliases };
+    const firstSessionId = Object.values(data.sessions)
+        .sort((a, b) => (b.lastModified || 0) - (a.lastModified || 0))[0]?.id || null;
+    Object.values(data.sessions).forEach(session => { session.restoredAt = restoredAt; });
+    replaceState({
+        ...data,
+        settings,
+        activeSessionId: firstSessionId,
+        availableModels: appState.availableModels,
+    });
+    return failedFiles;
+}
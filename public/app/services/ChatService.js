@@ -7,28 +7,75 @@ import * as InputArea from '../../components/InputArea.js';
 import * as ChatContainer from '../containers/ChatContainer.js';
 import * as AnimationManager from '../modules/AnimationManager.js';
 import * as SessionList from '../../components/SessionList.js';
+import { validateGenerationConfig, resolveGenerationSettings } from '../modules/GenerationConfig.js';
+import { countSelectedChars } from '../modules/PageRanges.js';
+import { DOCUMENT_KINDS } from './FileService.js';
 
-let currentRequestController = null;
+// [MODIFIED] One AbortController per session, so concurrent generations are cancelled independently.
+const requestControllers = new Map(); // sessionId -> AbortController
 
-const getApiKeyIdentifier = (key) => key ? `key_${key.slice(-4)}` : 'no_key';
+const getApiKeyIdentifier = (key) => key ? `key_${key.last4}` : 'no_key';
 
 // [VPC] A clear, non-negotiable rule for the AI about LaTeX formatting.
 const LATEX_FORMATTING_RULE = `--- SYSTEM RULE --- You MUST NOT wrap LaTeX formulas in \`\`\`latex code blocks. Instead, you MUST present all mathematical formulas using standard LaTeX delimiters ($$...$$ for display, $...$ for inline) directly within the text. This is a strict rendering requirement.`;
 
+// [MODIFIED] Earlier user turns keep their text, images and every file-store attachment (PDFs, documents,
+// audio, video), which the server resolves by file id on each turn. Pasted code files and inline PDFs from
+// before the file store are only sent with the turn they were attached to.
 function filterHistoryForApi(history) {
     const lastUserMessageIndex = history.findLastIndex(m => m.role === 'user');
     return history.map((message, index) => {
         if (index === lastUserMessageIndex || message.role !== 'user') return message;
-        const filteredParts = message.parts.filter(part => part.type === 'text' || part.type === 'image');
+        const filteredParts = message.parts.filter(part => part.type === 'text' || part.type === 'image' || part.fileId);
         return { ...message, parts: filteredParts };
     });
 }
 
-async function callChatApi(sessionId, model, history, historyTokenLimit, systemPrompt, temperature, topP, signal) {
+// [NEW] The template text plus the formatting rules, as sent with every request of the session.
+// 서버가 SDK의 systemInstruction으로 전달 (미지원 모델은 첫 사용자 메시지에 포함)
+export function getSystemPrompt(session) {
+    const template = (appState.promptTemplates || []).find(t => t.id === session.systemPromptId);
+    const userSystemPrompt = template ? template.text : '';
+    return userSystemPrompt ? `${userSystemPrompt}\n\n${LATEX_FORMATTING_RULE}`.trim() : LATEX_FORMATTING_RULE;
+}
+
+// [NEW] The history exactly as a chat request would send it (used by the context meter).
+export function getApiHistory(session) {
+    return filterHistoryForApi(session.history);
+}
+
+// [NEW] Compaction mode: turns beyond historyTokenLimit are summarised by the server instead of dropped.
+function getCompactionOptions(session) {
+    const { historyCompaction, compactionModel, historyTokenLimit } = appState.settings;
+    if (historyCompaction !== 'summarize' || !historyTokenLimit || !compactionModel) return undefined;
+    const summary = session.contextSummary;
+    return { model: compactionModel, summary: summary ? { text: summary.text, throughMessageId: summary.throughMessageId } : undefined };
+}
+
+// The summarisation call is billed to the same key as the reply.
+function applyContextSummary(sessionId, contextSummary, keyIdentifier) {
+    const { usage, ...summary } = contextSummary;
+    Session.setContextSummary(appState, sessionId, summary);
+    if (usage) Session.recordApiUsage(appState, sessionId, summary.model, usage, keyIdentifier);
+    ChatContainer.refreshContextSummary(sessionId);
+}
+
+// [NEW] Parameters that don't fit the session's model (e.g. after switching models) block the request.
+function checkGenerationConfig(session) {
+    const model = appState.availableModels.find(m => m.id === session.model);
+    const [firstError] = Object.values(validateGenerationConfig(resolveGenerationSettings(session, appState.settings), model));
+    if (firstError) Toast.show(`생성 설정을 확인하세요. ${firstError}`);
+    return !firstError;
+}
+
+// [MODIFIED] Rotates through the vault keys for a single model. Running out of keys (daily limits or
+// quota) is reported as a 429 so callChatApi can move on to the model's fallback.
+async function callModelWithKeys(sessionId, model, history, historyTokenLimit, systemPrompt, temperature, topP, signal, onChunk, requestOptions) {
     const { settings, dailyUsage } = appState;
-    const primaryKey = settings.apiKey;
-    const fallbackKeys = settings.fallbackApiKeys || [];
-    const allKeys = [primaryKey, ...fallbackKeys].filter(Boolean);
+    // [MODIFIED] Vault keys in rotation order (the first is primary). With none registered,
+    // a null key lets the server fall back to its .env key.
+    const configuredKeys = settings.apiKeyAliases || [];
+    const allKeys = configuredKeys.length > 0 ? configuredKeys : [null];
     const limits = settings.dailyLimits || {};
     const modelLimit = limits[model] || 0;
     const usableKeys = allKeys.filter(key => {
@@ -38,44 +85,98 @@ async function callChatApi(sessionId, model, history, historyTokenLimit, systemP
         return usage < modelLimit;
     });
     if (usableKeys.length === 0) {
-        throw new Error(`일일 호출 제한에 도달했습니다. 이 모델(${model})은 오늘 더 이상 사용할 수 없습니다.`);
+        const error = new Error(`일일 호출 제한에 도달했습니다. 이 모델(${model})은 오늘 더 이상 사용할 수 없습니다.`);
+        error.status = 429;
+        throw error;
     }
     let apiResponse;
     for (const apiKey of usableKeys) {
         try {
-            apiResponse = await GeminiAPIService.chat(apiKey, model, history, historyTokenLimit, systemPrompt, temperature, topP, signal);
+            apiResponse = await GeminiAPIService.chat(apiKey, model, history, historyTokenLimit, systemPrompt, temperature, topP, signal, onChunk, requestOptions);
             break;
         } catch (error) {
             if (error.name === 'AbortError') throw error;
             const isQuotaError = error.message.toLowerCase().includes('quota') || error.status === 429;
             if (isQuotaError) {
                 console.warn(`API key ${getApiKeyIdentifier(apiKey)} reached quota for model ${model}. Trying next key...`);
+                ChatContainer.setThinkingStatus(sessionId, '');
                 Session.recordApiUsage(appState, sessionId, model, { totalTokenCount: 0 }, getApiKeyIdentifier(apiKey), true);
             } else { throw error; }
         }
     }
-    if (!apiResponse) throw new Error("모든 API 키의 할당량이 소진되었거나 유효하지 않습니다.");
+    if (!apiResponse) {
+        const error = new Error("모든 API 키의 할당량이 소진되었거나 유효하지 않습니다.");
+        error.status = 429;
+        throw error;
+    }
     return apiResponse;
 }
 
+// [NEW] The requested model followed by its configured fallbacks (settings.modelFallbacks), without cycles.
+function getModelChain(model) {
+    const fallbacks = appState.settings.modelFallbacks || {};
+    const chain = [model];
+    let next = fallbacks[model];
+    while (next && !chain.includes(next)) {
+        chain.push(next);
+        next = fallbacks[next];
+    }
+    return chain;
+}
+
+// Out of quota (429), unknown/retired model (404) or still overloaded after the server's retries (503).
+const isModelUnavailable = (error) => [404, 429, 503].includes(error.status);
+
+// [NEW] Walks the model's fallback chain; the response reports which model actually answered.
+async function callChatApi(sessionId, model, history, historyTokenLimit, systemPrompt, temperature, topP, signal, onChunk = null, requestOptions = {}) {
+    const chain = getModelChain(model);
+    for (const [index, candidate] of chain.entries()) {
+        try {
+            const apiResponse = await callModelWithKeys(sessionId, candidate, history, historyTokenLimit, systemPrompt, temperature, topP, signal, onChunk, requestOptions);
+            return { ...apiResponse, modelUsed: candidate };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                if (error.partial) error.partial.modelUsed = candidate;
+                throw error;
+            }
+            const nextModel = chain[index + 1];
+            if (!nextModel || !isModelUnavailable(error)) throw error;
+            console.warn(`Model ${candidate} is unavailable (${error.message}). Falling back to ${nextModel}...`);
+            ChatContainer.setThinkingStatus(sessionId, `${candidate} 사용 불가 → ${nextModel}(으)로 전환 중…`);
+        }
+    }
+}
+
+// [NEW] A cancelled call still counts against the key's daily limit and may have produced output.
+// Keep the partial reply and record only the usage the server reported; without a report only the call is
+// counted, with no token entry. Non-streaming calls carry nothing to record: the server never reports usage
+// for them once cancelled.
+function recordCancelledCall(sessionId, session, partial, generationSettings) {
+    if (!partial) return;
+    const modelUsed = partial.modelUsed || session.model;
+    const usage = partial.usage || { totalTokenCount: 0 };
+    Session.recordApiUsage(appState, sessionId, modelUsed, { ...usage, cancelled: true }, getApiKeyIdentifier(partial.usedApiKey), true);
+    if (partial.text) {
+        const thinkingTime = Date.now() - (appState.loadingStates[sessionId]?.startTime || Date.now());
+        const metadata = { thinkingTime, modelUsed, generationSettings, completionTimestamp: Date.now(), cancelled: true };
+        if (modelUsed !== session.model) metadata.requestedModel = session.model;
+        const partialMessage = Session.addMessage(appState, sessionId, 'model', [{ type: 'text', text: partial.text }], metadata);
+        ChatContainer.appendMessage(sessionId, partialMessage);
+    }
+}
+
 async function executeChat(sessionId, signal) {
     const session = appState.sessions[sessionId];
     if (!session) return;
+    // [NEW] Snapshot of the session's settings for this request; it is recorded in the reply's metadata.
+    const generationSettings = resolveGenerationSettings(session, appState.settings);
     try {
-        // localStorage에서 직접 최신 상태를 가져와서 템플릿 정보를 확인
-        let freshTemplates = [];
-        try {
-            const freshData = JSON.parse(localStorage.getItem('geminiChatApp') || '{}');
-            freshTemplates = freshData.promptTemplates || [];
-        } catch (e) {
-            console.error('Failed to load fresh templates:', e);
-        }
+        // 프롬프트 편집기는 같은 appState를 공유하므로 템플릿은 메모리에서 바로 조회
+        const freshTemplates = appState.promptTemplates || [];
         
         const template = freshTemplates.find(t => t.id === session.systemPromptId);
         const userSystemPrompt = template ? template.text : '';
-        const systemPrompt = userSystemPrompt ? 
-            `${userSystemPrompt}\n\n${LATEX_FORMATTING_RULE}`.trim() : 
-            LATEX_FORMATTING_RULE;
+        const systemPrompt = getSystemPrompt(session);
         
         console.log('System prompt processing:', {
             sessionId,
@@ -91,15 +192,42 @@ async function executeChat(sessionId, signal) {
         });
         const { historyTokenLimit } = appState.settings;
         const filteredHistory = filterHistoryForApi(session.history);
-        const { temperature, topP } = appState.settings;
-        const apiResponse = await callChatApi(sessionId, session.model, filteredHistory, historyTokenLimit, systemPrompt, temperature, topP, signal);
+        const { streamResponses, maxRetryAttempts } = appState.settings;
+        const { temperature, topP, ...generationConfig } = generationSettings;
+        // [NEW] In streaming mode, partial output is rendered into a live message as it arrives.
+        // Variations (candidateCount > 1) arrive all at once instead.
+        const wantsCandidates = (generationConfig.candidateCount || 1) > 1;
+        const onChunk = streamResponses && !wantsCandidates ? (partialText) => {
+            if (appState.loadingStates[sessionId]) appState.loadingStates[sessionId].status = 'streaming';
+            ChatContainer.updateStreamingMessage(sessionId, partialText);
+        } : null;
+        // [NEW] Server-side retries of transient errors (overload, 5xx, dropped connections) show up on the thinking indicator.
+        const onRetry = ({ attempt, maxAttempts }) => ChatContainer.setThinkingStatus(sessionId, `재시도 중 (${attempt}/${maxAttempts})…`);
+        const compaction = getCompactionOptions(session);
+        const apiResponse = await callChatApi(sessionId, session.model, filteredHistory, historyTokenLimit, systemPrompt, temperature, topP, signal, onChunk, { onRetry, maxAttempts: maxRetryAttempts, compaction, generationConfig });
         const keyIdentifier = getApiKeyIdentifier(apiResponse.usedApiKey);
-        Session.recordApiUsage(appState, sessionId, session.model, apiResponse.usage, keyIdentifier);
+        Session.recordApiUsage(appState, sessionId, apiResponse.modelUsed, apiResponse.usage, keyIdentifier);
+        if (apiResponse.contextSummary) applyContextSummary(sessionId, apiResponse.contextSummary, keyIdentifier);
         const fullResponseText = apiResponse.reply.text;
         const thinkingTime = Date.now() - (appState.loadingStates[sessionId]?.startTime || Date.now());
-        const metadata = { thinkingTime, modelUsed: session.model, completionTimestamp: Date.now(), receivedAt: Date.now() };
-        const newMessage = Session.addMessage(appState, sessionId, 'model', [{ type: 'text', text: fullResponseText }], metadata);
-        ChatContainer.appendMessage(sessionId, newMessage);
+        const metadata = { thinkingTime, modelUsed: apiResponse.modelUsed, generationSettings, completionTimestamp: Date.now() };
+        // [NEW] Marks replies that came from a fallback model instead of the session's model.
+        if (apiResponse.modelUsed !== session.model) metadata.requestedModel = session.model;
+        // [NEW] Every variation stays on the reply until one is picked; parts mirror the one shown.
+        if (apiResponse.candidates?.length > 1) {
+            metadata.candidates = apiResponse.candidates.map(({ text, finishReason }) => ({ parts: [{ type: 'text', text }], finishReason }));
+            metadata.activeCandidate = 0;
+        }
+        if (onChunk || metadata.candidates) {
+            const newMessage = Session.addMessage(appState, sessionId, 'model', [{ type: 'text', text: fullResponseText }], metadata);
+            // State first: the final message must render with its actions enabled.
+            delete appState.loadingStates[sessionId];
+            ChatContainer.finalizeStreamingMessage(sessionId, newMessage);
+            document.dispatchEvent(new CustomEvent('animation-complete', { detail: { sessionId } }));
+        } else {
+            const newMessage = Session.addMessage(appState, sessionId, 'model', [{ type: 'text', text: fullResponseText }], { ...metadata, receivedAt: Date.now() });
+            ChatContainer.appendMessage(sessionId, newMessage);
+        }
         Session.updateTitleFromHistory(appState, sessionId);
         SessionList.render(appState);
         if (appState.activeSessionId !== sessionId) {
@@ -107,6 +235,8 @@ async function executeChat(sessionId, signal) {
         }
     } catch (error) {
         console.error(`Error in session ${sessionId}:`, error);
+        ChatContainer.discardStreamingMessage(sessionId);
+        if (error.name === 'AbortError') recordCancelledCall(sessionId, session, error.partial, generationSettings);
         const errorMessageText = (error.name === 'AbortError') ? '응답 생성이 취소되었습니다.' : `오류: ${error.message}`;
         const errorMessage = Session.addMessage(appState, sessionId, 'system', [{ type: 'text', text: errorMessageText }]);
         ChatContainer.appendMessage(sessionId, errorMessage);
@@ -119,27 +249,29 @@ async function executeChat(sessionId, signal) {
     }
 }
 
-export function cancelCurrentRequest() {
-    if (currentRequestController) {
-        currentRequestController.abort();
-        console.log("Request cancelled by user.");
+export function cancelRequest(sessionId) {
+    const controller = requestControllers.get(sessionId);
+    if (controller) {
+        controller.abort();
+        console.log(`Request for session ${sessionId} cancelled by user.`);
     }
 }
 
 async function runChatLifecycle(sessionId) {
-    currentRequestController = new AbortController();
+    const controller = new AbortController();
+    requestControllers.set(sessionId, controller);
     try {
         appState.loadingStates[sessionId] = { status: 'thinking', startTime: Date.now() };
         InputArea.render(appState);
         SessionList.render(appState);
         ChatContainer.manageThinkingIndicator(sessionId, true);
-        await executeChat(sessionId, currentRequestController.signal);
+        await executeChat(sessionId, controller.signal);
     } catch (error) {
         console.error("Critical error in chat lifecycle:", error);
         const errorMessage = Session.addMessage(appState, sessionId, 'system', [{ type: 'text', text: `전송 중 치명적 오류 발생: ${error.message}` }]);
         ChatContainer.appendMessage(sessionId, errorMessage);
     } finally {
-        currentRequestController = null;
+        if (requestControllers.get(sessionId) === controller) requestControllers.delete(sessionId);
         // [REMOVED] All loading state management is now handled by AnimationManager or the API error catch block.
     }
 }
@@ -153,7 +285,14 @@ export async function sendMessage() {
         Toast.show("메시지를 입력하거나 파일을 첨부해주세요.");
         return;
     }
+    if (!checkGenerationConfig(appState.sessions[sessionId])) return;
     AnimationManager.stop(sessionId);
+    // [NEW] Replying to variations continues from the one shown; the others are kept as branches.
+    const lastMessage = appState.sessions[sessionId].history.at(-1);
+    if (lastMessage?.candidates) {
+        Session.selectCandidate(appState, sessionId, lastMessage.id);
+        ChatContainer.refreshMessage(sessionId, lastMessage.id);
+    }
     const userMessageParts = await prepareMessageParts(messageText, files);
     const newMessage = Session.addMessage(appState, sessionId, 'user', userMessageParts);
     ChatContainer.appendMessage(sessionId, newMessage);
@@ -164,19 +303,21 @@ export async function sendMessage() {
 
 export async function regenerate(sessionId, messageId) {
     const session = appState.sessions[sessionId];
-    if (!session || appState.loadingStates[sessionId]) return;
+    if (!session || appState.loadingStates[sessionId] || !checkGenerationConfig(session)) return;
     AnimationManager.stop(sessionId);
     const messageIndex = session.history.findIndex(m => m.id === messageId);
     if (messageIndex < 1 || session.history[messageIndex].role !== 'model') return;
     const lastUserMessageIndex = session.history.slice(0, messageIndex).findLastIndex(m => m.role === 'user');
     if (lastUserMessageIndex === -1) return;
-    session.history.splice(lastUserMessageIndex + 1);
+    // [MODIFIED] Keep the current reply as a sibling branch instead of discarding it.
+    Session.forkAt(appState, sessionId, lastUserMessageIndex + 1);
     ChatContainer.rerenderSessionView(sessionId);
     await runChatLifecycle(sessionId);
 }
 
 export async function resubmit(sessionId) {
-    if (appState.loadingStates[sessionId]) return;
+    const session = appState.sessions[sessionId];
+    if (!session || appState.loadingStates[sessionId] || !checkGenerationConfig(session)) return;
     AnimationManager.stop(sessionId);
     await runChatLifecycle(sessionId);
 }
@@ -197,10 +338,23 @@ function createCodeSummary(file, content) {
 export async function prepareMessageParts(messageText, attachedFiles = []) {
     const parts = [];
     for (const file of attachedFiles) {
-        if (file.type.startsWith('image/')) {
-            parts.push({ type: 'image', mimeType: file.type, data: file.data });
+        // [MODIFIED] Stored attachments are referenced by file id instead of carrying their data.
+        if (file.documentKind) {
+            parts.push({ type: DOCUMENT_KINDS[file.documentKind].partType, name: file.name, size: file.size, fileId: file.fileId, info: file.documentInfo });
+        } else if (file.type.startsWith('audio/') || file.type.startsWith('video/')) {
+            const duration = file.duration != null ? { duration: file.duration } : {};
+            parts.push({ type: file.type.startsWith('audio/') ? 'audio' : 'video', mimeType: file.type, name: file.name, size: file.size, fileId: file.fileId, mode: file.mediaMode || 'media', ...duration });
+        } else if (file.type.startsWith('image/')) {
+            const dimensions = file.width ? { width: file.width, height: file.height } : {};
+            parts.push({ type: 'image', mimeType: file.type, name: file.name, size: file.size, ...(file.fileId ? { fileId: file.fileId } : { data: file.data }), ...dimensions });
         } else if (file.type === 'application/pdf') {
-            parts.push({ type: 'pdf-attachment', name: file.name, data: file.data });
+            const mode = file.pdfMode || 'text';
+            // Page ranges only narrow extracted text; documents are always sent whole.
+            const pageRanges = mode === 'text' && file.pageRanges ? { pageRanges: file.pageRanges } : {};
+            const counts = file.pageCount !== undefined
+                ? { pageCount: file.pageCount, charCount: countSelectedChars(file.pageCharCounts, pageRanges.pageRanges) ?? file.charCount }
+                : {};
+            parts.push({ type: 'pdf-attachment', name: file.name, size: file.size, mode, ...(file.fileId ? { fileId: file.fileId } : { data: file.data }), ...pageRanges, ...counts });
         } else {
             const summary = createCodeSummary(file, file.data);
             parts.push({ type: 'code-summary', summary: summary });
@@ -0,0 +1,229 @@
+// [Service] Exports sessions to Markdown, standalone HTML, JSON and print-ready PDF.
+import { create as createMessageElement } from '../components/Message.js';
+import { applySyntaxHighlighting } from '../utils/highlighter.js';
+import { renderMathInElement } from '../utils/MathRenderer.js';
+import { createDOMElement } from '../../components/common.js';
+import { getFileUrl, readStoredFileAsDataUrl } from './FileService.js';
+
+export const EXPORT_FORMAT = 'gemini-chat-export';
+export const EXPORT_VERSION = 1;
+
+const ROLE_LABELS = { user: '사용자', model: 'Gemini', system: '시스템' };
+const HIGHLIGHT_CSS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/atom-one-dark.min.css';
+const KATEX_CSS_URL = 'https://cdn.jsdelivr.net/npm/katex@0.16.10/dist/katex.min.css';
+// App stylesheets inlined into HTML exports so messages look exactly like they do in the app.
+const INLINE_STYLESHEETS = ['./css/base/theme.css', './css/components/message.css', './css/components/code-block.css'];
+// Larger recordings are left out of HTML exports instead of bloating the file (and the browser's memory).
+const MAX_INLINE_FILE_BYTES = 50 * 1024 * 1024;
+
+// --- Helpers ---
+function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function toFileName(name, extension) {
+    const safeName = (name || 'export').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').trim().slice(0, 100) || 'export';
+    return `${safeName}.${extension}`;
+}
+
+export function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = createDOMElement('a', { href: url, download: fileName });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Longest run of backticks in the text + 1, so embedded fences can't terminate ours early.
+function fenceFor(text) {
+    const longestRun = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+    return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+// --- Markdown ---
+function partToMarkdown(part) {
+    switch (part.type) {
+        case 'text':
+            return part.text || ''; // Stored as raw Markdown, so LaTeX and code fences survive untouched.
+        case 'image':
+            return `*[이미지 첨부: ${part.mimeType || 'image'}]*`;
+        case 'pdf-attachment':
+            return `*[PDF 첨부: ${part.name}]*`;
+        case 'code-summary': {
+            const { filename, fullCode = '' } = part.summary || {};
+            const language = (filename || '').split('.').pop();
+            const fence = fenceFor(fullCode);
+            return `**${filename}**\n\n${fence}${language}\n${fullCode}\n${fence}`;
+        }
+        default:
+            return part.name ? `*[첨부: ${part.name}]*` : '';
+    }
+}
+
+function sessionToMarkdown(session, headingLevel = 1) {
+    const heading = '#'.repeat(headingLevel);
+    const lines = [
+        `${heading} ${session.title}`,
+        '',
+        `- 모델: ${session.model || '-'}`,
+        `- 생성: ${formatDate(session.createdAt)}`,
+        `- 최종 수정: ${formatDate(session.lastModified)}`,
+    ];
+    if (session.tags?.length) lines.push(`- 태그: ${session.tags.join(', ')}`);
+    session.history.forEach(message => {
+        const body = (message.parts || []).map(partToMarkdown).filter(Boolean).join('\n\n');
+        lines.push('', '---', '', `${heading}## ${ROLE_LABELS[message.role] || message.role}`, '', body);
+    });
+    return lines.join('\n') + '\n';
+}
+
+export function toMarkdown(sessions, title = null) {
+    if (sessions.length === 1 && !title) return sessionToMarkdown(sessions[0]);
+    const sections = sessions.map(session => sessionToMarkdown(session, 2));
+    return `# ${title || '대화 내보내기'}\n\n${sections.join('\n\n')}`;
+}
+
+// --- JSON ---
+export function toJson(sessions) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: Date.now(),
+        sessions: sessions.map(({ id, title, model, createdAt, lastModified, systemPromptId, tags, history, contextSummary }) => ({
+            id, title, model, createdAt, lastModified, systemPromptId, tags, history,
+            ...(contextSummary ? { contextSummary } : {}),
+        })),
+    }, null, 2);
+}
+
+// --- HTML ---
+async function loadInlineStyles() {
+    const styles = await Promise.all(INLINE_STYLESHEETS.map(async (href) => {
+        try {
+            const response = await fetch(href);
+            return response.ok ? await response.text() : '';
+        } catch (error) {
+            console.warn(`[Export] Could not inline stylesheet ${href}:`, error);
+            return '';
+        }
+    }));
+    return styles.join('\n');
+}
+
+// Renders a session through the same Message component as the chat view, minus interactive controls.
+function renderSessionElement(session) {
+    const container = createDOMElement('section', { className: 'export-session' },
+        createDOMElement('h1', {}, session.title),
+        createDOMElement('p', { className: 'export-meta' }, `${session.model || ''} · ${formatDate(session.createdAt)}`)
+    );
+    session.history.forEach(message => {
+        const { isEditing, receivedAt, ...staticMessage } = message;
+        const messageEl = createMessageElement(staticMessage, null, 'katex');
+        messageEl.querySelectorAll('.message-edit-view, .code-block-copy-btn').forEach(el => el.remove());
+        applySyntaxHighlighting(messageEl);
+        renderMathInElement(messageEl); // KaTeX is forced so the output is static HTML.
+        container.appendChild(messageEl);
+    });
+    return container;
+}
+
+// Replaces file-store URLs (images, audio and video players) with data URLs, so the export stands alone.
+async function inlineStoredFiles(element) {
+    const fileUrlPrefix = getFileUrl('');
+    const dataUrls = new Map(); // fileId -> Promise<data URL | null>
+    await Promise.all([...element.querySelectorAll('[src]')].map(async (el) => {
+        const src = el.getAttribute('src');
+        if (!src.startsWith(fileUrlPrefix)) return;
+        const fileId = decodeURIComponent(src.slice(fileUrlPrefix.length));
+        if (!dataUrls.has(fileId)) dataUrls.set(fileId, readStoredFileAsDataUrl(fileId, MAX_INLINE_FILE_BYTES).catch(() => null));
+        const dataUrl = await dataUrls.get(fileId);
+        if (dataUrl) {
+            el.setAttribute('src', dataUrl);
+            el.removeAttribute('loading');
+        } else {
+            el.replaceWith(createDOMElement('p', { className: 'export-missing-file' }, '[첨부 파일이 너무 크거나 찾을 수 없어 내보내기에 포함하지 않았습니다]'));
+        }
+    }));
+}
+
+export async function toHtml(sessions, title = null) {
+    const inlineStyles = await loadInlineStyles();
+    const elements = sessions.map(renderSessionElement);
+    await Promise.all(elements.map(inlineStoredFiles));
+    const body = elements.map(element => element.outerHTML).join('\n');
+    const documentTitle = title || (sessions.length === 1 ? sessions[0].title : '대화 내보내기');
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(documentTitle)}</title>
+<link rel="stylesheet" href="${HIGHLIGHT_CSS_URL}">
+<link rel="stylesheet" href="${KATEX_CSS_URL}">
+<style>
+${inlineStyles}
+body { font-family: var(--font-primary); background: #fff; color: var(--text-primary); max-width: 860px; margin: 0 auto; padding: 32px 24px; }
+.message { animation: none; }
+.export-session + .export-session { margin-top: 48px; padding-top: 24px; border-top: 2px solid var(--border-primary); }
+.export-meta { color: var(--text-secondary); font-size: 0.9em; margin-top: -8px; }
+.export-missing-file { color: var(--text-secondary); font-style: italic; }
+@media print {
+    body { padding: 0; max-width: none; }
+    .export-session + .export-session { page-break-before: always; border-top: none; }
+    .message, pre, .katex-display { page-break-inside: avoid; }
+}
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// --- PDF (via the browser's print dialog) ---
+async function printAsPdf(sessions, title) {
+    // Opened before any await so popup blockers still treat it as part of the user's click.
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) throw new Error('팝업이 차단되어 PDF 인쇄 창을 열 수 없습니다.');
+    const html = await toHtml(sessions, title);
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.addEventListener('load', () => {
+        printWindow.focus();
+        printWindow.print();
+    });
+}
+
+/**
+ * Exports sessions in the given format.
+ * @param {Array<object>} sessions
+ * @param {'markdown'|'html'|'json'|'pdf'} format
+ * @param {string|null} title  Used as file/document name for multi-session (folder) exports.
+ */
+export async function exportSessions(sessions, format, title = null) {
+    if (!sessions.length) throw new Error('내보낼 대화가 없습니다.');
+    const baseName = title || sessions[0].title;
+    switch (format) {
+        case 'markdown':
+            downloadFile(toMarkdown(sessions, title), toFileName(baseName, 'md'), 'text/markdown;charset=utf-8');
+            break;
+        case 'html':
+            downloadFile(await toHtml(sessions, title), toFileName(baseName, 'html'), 'text/html;charset=utf-8');
+            break;
+        case 'json':
+            downloadFile(toJson(sessions), toFileName(baseName, 'json'), 'application/json;charset=utf-8');
+            break;
+        case 'pdf':
+            await printAsPdf(sessions, title);
+            break;
+        default:
+            throw new Error(`지원하지 않는 내보내기 형식입니다: ${format}`);
+    }
+}
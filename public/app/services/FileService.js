@@ -0,0 +1,171 @@
+// [Service] Attachments (images, PDFs, audio/video, office and HTML documents) live in the server's file
+// store; media and PDFs reach Gemini through the File API, documents as server-extracted text. Messages
+// keep a lightweight { fileId } reference instead of the data.
+import * as GeminiAPIService from './GeminiAPIService.js';
+
+// [NEW] How a PDF attachment is sent: its extracted text, or the file itself so the model sees the layout.
+export const PDF_MODES = {
+    text: '텍스트 추출',
+    document: '문서로 전송',
+};
+
+// [NEW] How an audio/video attachment is sent: the recording itself, or a transcript made by the model once.
+export const MEDIA_MODES = {
+    media: '미디어로 전송',
+    transcript: '텍스트로 변환 후 전송',
+};
+// Matches the server's upload limit (MAX_UPLOAD_SIZE in server.js).
+export const MAX_UPLOAD_BYTES = 200 * 1024 * 1024;
+const DURATION_TIMEOUT_MS = 10000;
+
+// [NEW] Documents the server extracts text from (server/documentExtractor.js), with their message part types.
+export const DOCUMENT_KINDS = {
+    docx: { partType: 'docx-attachment', label: 'Word 문서', extensions: ['.docx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+    spreadsheet: { partType: 'spreadsheet-attachment', label: '스프레드시트', extensions: ['.xlsx', '.csv'], mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'text/csv'] },
+    presentation: { partType: 'presentation-attachment', label: '프레젠테이션', extensions: ['.pptx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'] },
+    html: { partType: 'html-attachment', label: 'HTML 문서', extensions: ['.html', '.htm'], mimeTypes: ['text/html'] },
+};
+
+/** 'docx' | 'spreadsheet' | 'presentation' | 'html', or null. The extension wins over the often generic MIME type. */
+export function getDocumentKind(file) {
+    const extension = (file.name || '').includes('.') ? `.${file.name.split('.').pop().toLowerCase()}` : '';
+    const kinds = Object.keys(DOCUMENT_KINDS);
+    return kinds.find(kind => DOCUMENT_KINDS[kind].extensions.includes(extension))
+        || kinds.find(kind => DOCUMENT_KINDS[kind].mimeTypes.includes(file.type))
+        || null;
+}
+
+export function isMediaFile(file) {
+    return (file.type || '').startsWith('audio/') || (file.type || '').startsWith('video/');
+}
+
+export function isStoredAttachment(file) {
+    return (file.type || '').startsWith('image/') || file.type === 'application/pdf' || isMediaFile(file) || !!getDocumentKind(file);
+}
+
+/** Length of an audio/video file in seconds from its metadata, or null when the browser cannot read it. */
+export function readMediaDuration(file) {
+    return new Promise(resolve => {
+        const url = URL.createObjectURL(file);
+        const media = document.createElement(file.type.startsWith('video/') ? 'video' : 'audio');
+        const finish = (duration) => {
+            clearTimeout(timer);
+            URL.revokeObjectURL(url);
+            media.removeAttribute('src');
+            resolve(Number.isFinite(duration) ? duration : null);
+        };
+        const timer = setTimeout(() => finish(null), DURATION_TIMEOUT_MS);
+        media.preload = 'metadata';
+        media.onloadedmetadata = () => finish(media.duration);
+        media.onerror = () => finish(null);
+        media.src = url;
+    });
+}
+
+export function getFileUrl(fileId) {
+    return `/api/files/${encodeURIComponent(fileId)}`;
+}
+
+/** Uploads a selected file; returns the attachment entry for appState.attachedFiles. */
+export async function uploadAttachment(file, keyId) {
+    if (isMediaFile(file)) {
+        const [stored, duration] = await Promise.all([GeminiAPIService.uploadFile(file, file.name, keyId), readMediaDuration(file)]);
+        return { name: file.name, type: file.type, size: file.size, fileId: stored.id, mediaMode: 'media', duration };
+    }
+    const stored = await GeminiAPIService.uploadFile(file, file.name, keyId);
+    const attachment = { name: file.name, type: file.type, size: file.size, fileId: stored.id };
+    const documentKind = getDocumentKind(file);
+    if (documentKind) return { ...attachment, documentKind, documentInfo: stored.documentInfo };
+    if (file.type === 'application/pdf') {
+        return { ...attachment, pdfMode: 'text', pageCount: stored.pageCount, charCount: stored.charCount, pageCharCounts: stored.pageCharCounts };
+    }
+    return { ...attachment, width: stored.width, height: stored.height };
+}
+
+// Every message of a session, including stashed branches.
+function getAllMessages(session) {
+    const stashed = Object.values(session.branchPoints || {}).flatMap(point => point.variants.filter(Boolean).flat());
+    return [...(session.history || []), ...stashed];
+}
+
+/**
+ * Moves inline base64 attachments of older sessions into the file store. Parts that fail to upload
+ * keep their data and are retried on the next start. Returns the number of migrated parts.
+ */
+export async function migrateInlineAttachments(state) {
+    const keyId = state.settings.apiKeyAliases?.[0]?.id;
+    const uploads = new Map(); // data URL -> Promise<stored file>, so repeated attachments upload once
+    let migrated = 0;
+    for (const session of Object.values(state.sessions)) {
+        for (const message of getAllMessages(session)) {
+            for (const part of message.parts || []) {
+                if (!['image', 'pdf-attachment'].includes(part.type) || !part.data || part.fileId) continue;
+                try {
+                    if (!uploads.has(part.data)) {
+                        uploads.set(part.data, fetch(part.data).then(response => response.blob())
+                            .then(blob => GeminiAPIService.uploadFile(blob, part.name, keyId)));
+                    }
+                    const stored = await uploads.get(part.data);
+                    Object.assign(part, { fileId: stored.id, size: stored.size });
+                    if (stored.width) Object.assign(part, { width: stored.width, height: stored.height });
+                    if (stored.pageCount !== undefined) Object.assign(part, { pageCount: stored.pageCount, charCount: stored.charCount });
+                    delete part.data;
+                    migrated++;
+                } catch (error) {
+                    console.warn(`[Files] Could not move an attachment of session ${session.id} to the file store:`, error.message);
+                }
+            }
+        }
+    }
+    if (migrated > 0) console.log(`[Files] Moved ${migrated} inline attachment(s) to the file store.`);
+    return migrated;
+}
+
+// [NEW] Stored files travel inside exports and backups as data URLs, so they work without this server.
+/** Ids of every stored file the sessions reference (branches included), with the name of the first part using each. */
+export function collectStoredFiles(sessions) {
+    const files = new Map(); // fileId -> name
+    sessions.forEach(session => getAllMessages(session).forEach(message => {
+        (message.parts || []).forEach(part => {
+            if (part.fileId && !files.has(part.fileId)) files.set(part.fileId, part.name || '');
+        });
+    }));
+    return files;
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/** The stored file as a data URL, or null when it is larger than `maxBytes`. */
+export async function readStoredFileAsDataUrl(fileId, maxBytes = Infinity) {
+    const response = await fetch(getFileUrl(fileId));
+    if (!response.ok) throw new Error(`첨부 파일을 불러올 수 없습니다 (${response.status}): ${fileId}`);
+    if (Number(response.headers.get('Content-Length')) > maxBytes) return null;
+    return blobToDataUrl(await response.blob());
+}
+
+/**
+ * Puts files from an export or backup ({ [fileId]: { name, data } }) back into the file store. Ids are content
+ * hashes, so re-uploaded files keep the ids the messages reference. Returns the number of files that failed.
+ */
+export async function restoreStoredFiles(files, keyId) {
+    let failed = 0;
+    for (const [fileId, { name, data }] of Object.entries(files || {})) {
+        try {
+            if ((await fetch(getFileUrl(fileId), { method: 'HEAD' })).ok) continue;
+            const blob = await (await fetch(data)).blob();
+            const stored = await GeminiAPIService.uploadFile(blob, name, keyId);
+            if (stored.id !== fileId) throw new Error('파일 내용이 ID와 일치하지 않습니다.');
+        } catch (error) {
+            console.warn(`[Files] Could not restore ${name || fileId}:`, error.message);
+            failed++;
+        }
+    }
+    return failed;
+}
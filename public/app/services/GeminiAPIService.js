@@ -18,23 +18,119 @@ async function apiCall(endpoint, body, signal) {
     return data;
 }
 
-export async function getModels(apiKey, signal) { 
-    const data = await apiCall('/api/models', { apiKey }, signal); 
+// [NEW] Streams a POST response as Server-Sent Events, invoking onEvent(event, data) per frame.
+async function streamCall(endpoint, body, signal, onEvent) {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+        body: JSON.stringify(body),
+        signal
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.message || 'API request failed');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            let event = 'message';
+            const dataLines = [];
+            frame.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+            });
+            if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+        }
+    }
+}
+
+// [MODIFIED] Keys are referenced by vault id; without one the server uses its default (.env) key.
+export async function getModels(keyId, signal) { 
+    const data = await apiCall('/api/models', { keyId }, signal); 
     return data.models; 
 }
 
-export async function validateApiKey(apiKey, signal) {
-    const data = await apiCall('/api/validate', { apiKey }, signal);
+export async function validateApiKey(keyId, signal) {
+    const data = await apiCall('/api/validate', { keyId }, signal);
     return data;
 }
 
-export async function chat(apiKey, model, history, historyTokenLimit, systemPrompt, temperature, topP, signal) {
-    const body = { apiKey, model, history, historyTokenLimit, systemPrompt, temperature, topP };
-    const response = await apiCall('/api/chat', body, signal);
-    return { reply: response.reply, usage: response.usage, usedApiKey: apiKey };
+// [MODIFIED] When onChunk is provided, the reply is streamed and onChunk(fullTextSoFar) is called per chunk.
+// `apiKey` is a vault alias ({ id, alias, last4 }) or null for the server's default key.
+// [NEW] onRetry({ attempt, maxAttempts, delayMs }) reports server-side retries; it needs the event
+// stream, so the reply is streamed (but only returned whole) when onRetry is given without onChunk.
+// [NEW] compaction ({ model, summary }) asks the server to summarise turns beyond historyTokenLimit; an
+// updated summary comes back as `contextSummary`. generationConfig carries the session's extra parameters.
+// [NEW] With candidateCount > 1 the variations come back whole as `candidates` ([{ text, finishReason }]);
+// the server never streams them, so onChunk and onRetry are not called.
+export async function chat(apiKey, model, history, historyTokenLimit, systemPrompt, temperature, topP, signal, onChunk = null, { onRetry = null, maxAttempts, compaction, generationConfig } = {}) {
+    const wantsCandidates = (generationConfig?.candidateCount || 1) > 1;
+    const useStream = !wantsCandidates && (!!onChunk || !!onRetry);
+    const body = { keyId: apiKey?.id, model, history, historyTokenLimit, systemPrompt, temperature, topP, generationConfig, maxAttempts, compaction, stream: useStream };
+    if (!useStream) {
+        const response = await apiCall('/api/chat', body, signal);
+        return { reply: response.reply, candidates: response.candidates, usage: response.usage, usedApiKey: apiKey, contextSummary: response.contextSummary };
+    }
+    let text = '';
+    let usage = null;
+    let contextSummary = null;
+    try {
+        await streamCall('/api/chat', body, signal, (event, data) => {
+            if (event === 'chunk') {
+                text += data.text;
+                if (data.usage) usage = data.usage;
+                if (onChunk) onChunk(text);
+            } else if (event === 'retry') {
+                if (onRetry) onRetry(data);
+            } else if (event === 'done') {
+                usage = data.usage;
+                contextSummary = data.contextSummary;
+            } else if (event === 'error') {
+                const error = new Error(data.message || 'Streaming failed');
+                error.status = data.status;
+                throw error;
+            }
+        });
+    } catch (error) {
+        // [NEW] Attach whatever was received so a cancelled call can still be recorded.
+        if (error.name === 'AbortError') error.partial = { text, usage, usedApiKey: apiKey };
+        throw error;
+    }
+    return { reply: { type: 'text', text }, usage: usage || {}, usedApiKey: apiKey, contextSummary };
+}
+
+// [NEW] Stores an attachment (File or Blob) in the server's file store. With a key id the server also
+// uploads it to the Gemini File API right away. Returns { id, name, mimeType, size[, width, height] }.
+export async function uploadFile(file, name, keyId, signal) {
+    const headers = { 'Content-Type': file.type || 'application/octet-stream', 'X-File-Name': encodeURIComponent(name || '') };
+    if (keyId) headers['X-Key-Id'] = keyId;
+    const response = await fetch('/api/files', { method: 'POST', headers, body: file, signal });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.message || 'File upload failed');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+    return data.file;
 }
 
 export async function extractTextFromPdf(base64Pdf, signal) {
     const data = await apiCall('/api/extract-text', { fileData: base64Pdf }, signal);
     return data.text;
-}
\ No newline at end of file
+}
+// [NEW] Tokens the history and system prompt would use for `model` ({ totalTokens, estimated }).
+export async function countTokens(keyId, model, history, systemPrompt, signal) {
+    return apiCall('/api/count-tokens', { keyId, model, history, systemPrompt }, signal);
+}
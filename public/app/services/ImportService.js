@@ -0,0 +1,196 @@
+// [Service] Parses conversation exports (this app's own JSON and third-party chat tools)
+// and maps them onto the app's session/history/parts schema.
+import { EXPORT_FORMAT } from './ExportService.js';
+
+// --- Helpers ---
+function newMessageId() {
+    return `msg-${Date.now()}-${Math.random()}`;
+}
+
+// Session ids must stay URL/file-name safe for the server-side store.
+function toSessionId(rawId, fallbackIndex) {
+    const safeId = String(rawId ?? '').replace(/[^A-Za-z0-9_-]/g, '');
+    return safeId ? `session-${safeId}` : `session-${Date.now()}-${fallbackIndex}`;
+}
+
+function toTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value < 1e12 ? Math.round(value * 1000) : value; // seconds vs. ms
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function textMessage(role, text, extraParts = []) {
+    const parts = [...extraParts];
+    if (text && text.trim()) parts.push({ type: 'text', text });
+    return parts.length > 0 ? { id: newMessageId(), role, parts } : null;
+}
+
+function buildSession({ id, title, createdAt, lastModified, model, history }, index) {
+    const now = Date.now();
+    const created = createdAt || now;
+    return {
+        id: toSessionId(id, index),
+        title: (title || '').trim() || '가져온 대화',
+        createdAt: created,
+        lastModified: lastModified || created,
+        model: model || '',
+        history: history.filter(Boolean),
+        isPinned: false,
+        systemPromptId: null,
+        tags: [],
+        branchPoints: {},
+    };
+}
+
+function contentToText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .map(item => (typeof item === 'string' ? item : (item?.type === 'text' || item?.text) ? item.text : ''))
+            .filter(Boolean)
+            .join('\n\n');
+    }
+    return content?.text || '';
+}
+
+function normalizeRole(role) {
+    if (role === 'assistant' || role === 'model' || role === 'bot') return 'model';
+    if (role === 'system') return 'system';
+    return 'user';
+}
+
+// --- Format: this app's own export (ExportService.toJson) ---
+function parseOwnFormat(data) {
+    return data.sessions.map((session, index) => ({
+        ...session,
+        id: /^[A-Za-z0-9_-]+$/.test(session.id || '') ? session.id : toSessionId(session.id, index),
+        title: session.title || '가져온 대화',
+        history: (session.history || []).map(message => ({ ...message, id: message.id || newMessageId() })),
+        tags: session.tags || [],
+        systemPromptId: session.systemPromptId || null,
+        isPinned: false,
+        branchPoints: {},
+    }));
+}
+
+// --- Format: ChatGPT conversations.json (tree of nodes in `mapping`) ---
+function parseChatGpt(conversations) {
+    return conversations.map((conversation, index) => {
+        const mapping = conversation.mapping || {};
+        const path = [];
+        let nodeId = conversation.current_node;
+        while (nodeId && mapping[nodeId]) {
+            path.unshift(mapping[nodeId]);
+            nodeId = mapping[nodeId].parent;
+        }
+        let model = '';
+        const history = path.map(node => {
+            const message = node.message;
+            if (!message || message.metadata?.is_visually_hidden_from_conversation) return null;
+            const role = message.author?.role;
+            if (role !== 'user' && role !== 'assistant' && role !== 'system') return null;
+            if (message.metadata?.model_slug) model = message.metadata.model_slug;
+            const parts = message.content?.parts || [];
+            const text = parts.map(part => (typeof part === 'string' ? part : part?.content_type === 'image_asset_pointer' ? '*[이미지 첨부]*' : '')).filter(Boolean).join('\n\n');
+            return textMessage(normalizeRole(role), text || message.content?.text || '');
+        });
+        return buildSession({
+            id: conversation.conversation_id || conversation.id,
+            title: conversation.title,
+            createdAt: toTimestamp(conversation.create_time),
+            lastModified: toTimestamp(conversation.update_time),
+            model,
+            history,
+        }, index);
+    });
+}
+
+// --- Format: Claude export (conversations.json with `chat_messages`) ---
+function parseClaude(conversations) {
+    return conversations.map((conversation, index) => {
+        const history = (conversation.chat_messages || []).map(message => {
+            const attachmentParts = (message.attachments || []).map(attachment => {
+                const content = attachment.extracted_content || '';
+                return {
+                    type: 'code-summary',
+                    summary: {
+                        filename: attachment.file_name,
+                        size: attachment.file_size || content.length,
+                        language: (attachment.file_name || '').split('.').pop(),
+                        lineCount: content.split('\n').length,
+                        fullCode: content,
+                    },
+                };
+            });
+            const fileNotes = (message.files || []).map(file => `*[첨부 파일: ${file.file_name}]*`);
+            const text = [contentToText(message.content) || message.text || '', ...fileNotes].filter(Boolean).join('\n\n');
+            return textMessage(message.sender === 'human' ? 'user' : 'model', text, attachmentParts);
+        });
+        return buildSession({
+            id: conversation.uuid,
+            title: conversation.name,
+            createdAt: toTimestamp(conversation.created_at),
+            lastModified: toTimestamp(conversation.updated_at),
+            history,
+        }, index);
+    });
+}
+
+// --- Format: Google AI Studio prompt file (`chunkedPrompt.chunks`) ---
+function parseAiStudio(data, fileName) {
+    const history = [];
+    const systemText = contentToText(data.systemInstruction?.parts || data.systemInstruction);
+    if (systemText) history.push(textMessage('system', systemText));
+    (data.chunkedPrompt.chunks || []).forEach(chunk => {
+        if (chunk.isThought) return;
+        history.push(textMessage(normalizeRole(chunk.role), chunk.text || contentToText(chunk.parts)));
+    });
+    return [buildSession({ title: fileName?.replace(/\.[^.]+$/, ''), model: data.runSettings?.model?.replace('models/', ''), history }, 0)];
+}
+
+// --- Format: generic `{ title?, messages: [{ role, content }] }` (OpenAI-style), or an array of those ---
+function parseGeneric(conversations) {
+    return conversations.map((conversation, index) => buildSession({
+        id: conversation.id,
+        title: conversation.title || conversation.name,
+        createdAt: toTimestamp(conversation.created_at || conversation.createdAt),
+        lastModified: toTimestamp(conversation.updated_at || conversation.updatedAt),
+        model: conversation.model,
+        history: conversation.messages.map(message => textMessage(normalizeRole(message.role || message.author), contentToText(message.content ?? message.text))),
+    }, index));
+}
+
+const FORMATS = [
+    { source: '이 앱 (JSON 내보내기)', test: data => data?.format === EXPORT_FORMAT && Array.isArray(data.sessions), parse: parseOwnFormat },
+    { source: 'ChatGPT', test: data => Array.isArray(data) && data.length > 0 && data.every(c => c && typeof c.mapping === 'object'), parse: parseChatGpt },
+    { source: 'Claude', test: data => Array.isArray(data) && data.length > 0 && data.every(c => c && Array.isArray(c.chat_messages)), parse: parseClaude },
+    { source: 'Google AI Studio', test: data => Array.isArray(data?.chunkedPrompt?.chunks), parse: parseAiStudio },
+    { source: '일반 메시지 목록', test: data => Array.isArray(data?.messages), parse: data => parseGeneric([data]) },
+    { source: '일반 메시지 목록', test: data => Array.isArray(data) && data.length > 0 && data.every(c => Array.isArray(c?.messages)), parse: parseGeneric },
+];
+
+/**
+ * Parses an export file into sessions ready to be merged into appState.
+ * @returns {{ source: string, sessions: Array<object> }}
+ */
+export function parseImportFile(text, fileName = '') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('JSON 파일을 읽을 수 없습니다. 올바른 내보내기 파일인지 확인하세요.');
+    }
+    const format = FORMATS.find(f => f.test(data));
+    if (!format) throw new Error('지원하지 않는 대화 내보내기 형식입니다.');
+    const sessions = format.parse(data, fileName).filter(session => session.history.length > 0);
+    if (sessions.length === 0) throw new Error('가져올 대화가 없습니다.');
+    return { source: format.source, sessions };
+}
+
+// Returns the imported sessions whose ids already exist locally, paired with the existing session.
+export function findConflicts(state, sessions) {
+    return sessions
+        .filter(session => state.sessions[session.id])
+        .map(session => ({ imported: session, existing: state.sessions[session.id] }));
+}
@@ -0,0 +1,95 @@
+// [Service] Talks to the server-side API key vault (/api/keys). The browser only ever holds
+// key ids, aliases and the last four characters; plaintext keys stay encrypted on the server.
+import { saveData } from '../../utils/storage.js';
+
+async function request(method, endpoint, body) {
+    const response = await fetch(endpoint, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const data = response.status === 204 ? {} : await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.message || `Key vault request failed: ${method} ${endpoint}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+/** @returns {Promise<{ initialized: boolean, unlocked: boolean, hasDefaultKey: boolean, keys: Array<{ id, alias, last4 }> }>} */
+export function fetchStatus() {
+    return request('GET', '/api/keys');
+}
+
+// Creates the vault; only valid while none exists yet.
+export function init(passphrase) {
+    return request('POST', '/api/keys/init', { passphrase });
+}
+
+export function unlock(passphrase) {
+    return request('POST', '/api/keys/unlock', { passphrase });
+}
+
+// The server validates the key against the Gemini API before storing it.
+export async function addKey(alias, apiKey) {
+    const data = await request('POST', '/api/keys', { alias, apiKey });
+    return data.key;
+}
+
+export function validateKey(keyId) {
+    return request('POST', `/api/keys/${encodeURIComponent(keyId)}/validate`);
+}
+
+export function removeKey(keyId) {
+    return request('DELETE', `/api/keys/${encodeURIComponent(keyId)}`);
+}
+
+// Mirrors the vault's key list into settings.apiKeyAliases; list order is the rotation order.
+// While the vault is locked the last known aliases are kept.
+export function applyStatus(state, status) {
+    if (!status.unlocked) return;
+    state.settings.apiKeyAliases = status.keys.map(({ id, alias, last4 }) => ({ id, alias, last4 }));
+    saveData(state);
+}
+
+export async function syncKeyAliases(state) {
+    const status = await fetchStatus();
+    applyStatus(state, status);
+    return status;
+}
+
+/**
+ * Moves plaintext keys left in browser storage by older versions (settings.apiKey / fallbackApiKeys)
+ * into the vault. Keys the server rejects stay put and are retried on the next start.
+ * @param {object} state
+ * @param {object} status  Result of fetchStatus(); nothing is moved while the vault is locked.
+ * @returns {Promise<number>} Number of keys moved.
+ */
+export async function migrateLegacyKeys(state, status) {
+    if (!status.unlocked) return 0;
+    const { apiKey, fallbackApiKeys } = state.settings;
+    const legacyKeys = [
+        ...(apiKey ? [{ alias: '기본 키', key: apiKey }] : []),
+        ...(fallbackApiKeys || []).filter(Boolean).map((key, index) => ({ alias: `대체 키 #${index + 1}`, key })),
+    ];
+    if (legacyKeys.length === 0) return 0;
+    const remaining = [];
+    let moved = 0;
+    for (const { alias, key } of legacyKeys) {
+        try {
+            await addKey(alias, key);
+            moved++;
+        } catch (error) {
+            if (error.status === 409) continue; // Already in the vault.
+            console.warn(`[KeyVault] Could not migrate legacy key '${alias}':`, error.message);
+            remaining.push(key);
+        }
+    }
+    delete state.settings.apiKey;
+    if (remaining.length > 0) state.settings.fallbackApiKeys = remaining;
+    else delete state.settings.fallbackApiKeys;
+    await syncKeyAliases(state);
+    saveData(state);
+    return moved;
+}
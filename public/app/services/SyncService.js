@@ -0,0 +1,270 @@
+// [CoreDNA] Keeps sessions, the sidebar folder tree and prompt templates in sync with the
+// local server's on-disk store (/api/sessions, /api/workspace), so data survives browser switches.
+import * as Toast from '../../components/Toast.js';
+
+const PUSH_DEBOUNCE_MS = 1000;
+
+const syncedSessions = new Map(); // sessionId -> JSON last known to be on the server
+let syncedWorkspace = null;
+let failedSessionIds = new Set(); // Sessions the server refused on the last push; reported when they first fail.
+let pendingState = null;
+let pushTimer = null;
+let pushChain = Promise.resolve();
+let pullInFlight = null;
+let isServerReachable = true;
+
+async function request(method, endpoint, body, headers = {}) {
+    const response = await fetch(endpoint, {
+        method,
+        headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+        body: typeof body === 'string' ? body : (body !== undefined ? JSON.stringify(body) : undefined),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.message || `Sync request failed: ${method} ${endpoint}`);
+        error.status = response.status;
+        error.code = data.code;
+        throw error;
+    }
+    return data;
+}
+
+// Matches sessionVersion in server/sessionStore.js: restoring or importing a session counts as a change.
+function sessionVersion(session) {
+    return Math.max(session.lastModified || 0, session.restoredAt || 0);
+}
+
+// Version of the server's copy this browser last saw, or undefined if it has not synced the session yet.
+function syncedVersion(sessionId) {
+    const json = syncedSessions.get(sessionId);
+    return json ? sessionVersion(JSON.parse(json)) : undefined;
+}
+
+function storeRemoteSession(state, session) {
+    state.sessions[session.id] = {
+        ...session,
+        systemPromptId: session.systemPromptId || null,
+        tags: session.tags || [],
+        branchPoints: session.branchPoints || {},
+    };
+    syncedSessions.set(session.id, JSON.stringify(state.sessions[session.id]));
+}
+
+// State changed behind the UI's back; main.js saves it and re-renders the listed sessions.
+function notifyStateChanged(sessionIds) {
+    document.dispatchEvent(new CustomEvent('sync-state-changed', { detail: { sessionIds } }));
+}
+
+function serializeWorkspace(state) {
+    return JSON.stringify({ sidebarItems: state.sidebarItems || [], promptTemplates: state.promptTemplates || [] });
+}
+
+// Drops references to sessions that exist nowhere, and collects the ids that remain.
+function pruneSidebarItems(items, sessions, seenIds) {
+    return items.reduce((acc, item) => {
+        if (item.type === 'folder') {
+            acc.push({ ...item, children: pruneSidebarItems(item.children || [], sessions, seenIds) });
+        } else if (sessions[item.id] && !seenIds.has(item.id)) {
+            seenIds.add(item.id);
+            acc.push(item);
+        }
+        return acc;
+    }, []);
+}
+
+function mergeWorkspace(state, remote) {
+    if (remote.updatedAt) {
+        const remoteTemplateIds = new Set(remote.promptTemplates.map(t => t.id));
+        state.promptTemplates = [
+            ...remote.promptTemplates,
+            ...(state.promptTemplates || []).filter(t => !remoteTemplateIds.has(t.id)),
+        ];
+    }
+    // The server's folder tree wins; sessions it does not know about yet go to the top level.
+    const seenIds = new Set();
+    const baseItems = remote.updatedAt ? remote.sidebarItems : (state.sidebarItems || []);
+    const sidebarItems = pruneSidebarItems(baseItems, state.sessions, seenIds);
+    Object.values(state.sessions)
+        .filter(session => !seenIds.has(session.id))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .forEach(session => sidebarItems.unshift({ type: 'session', id: session.id }));
+    state.sidebarItems = sidebarItems;
+}
+
+// Sessions deleted in another browser go away here too, unless they were edited, restored from a backup
+// or imported (restoredAt) after the deletion. Returns the ids removed.
+function applyDeletions(state, deleted) {
+    const removedIds = [];
+    for (const { id, deletedAt } of deleted) {
+        const local = state.sessions[id];
+        if (state.loadingStates?.[id]) continue;
+        syncedSessions.delete(id);
+        if (!local || sessionVersion(local) > deletedAt) continue;
+        delete state.sessions[id];
+        removedIds.push(id);
+    }
+    return removedIds;
+}
+
+function findFirstSessionId(items) {
+    for (const item of items) {
+        const id = item.type === 'folder' ? findFirstSessionId(item.children || []) : item.id;
+        if (id) return id;
+    }
+    return null;
+}
+
+async function pull(state) {
+    const { sessions: remoteSessions, deleted = [] } = await request('GET', '/api/sessions');
+    const updatedIds = applyDeletions(state, deleted);
+    for (const summary of remoteSessions) {
+        // A reply is being written into this session; a later pull catches up with it.
+        if (state.loadingStates?.[summary.id]) continue;
+        const local = state.sessions[summary.id];
+        const remoteVersion = sessionVersion(summary);
+        const localVersion = local ? sessionVersion(local) : 0;
+        if (!local || remoteVersion > localVersion) {
+            const { session } = await request('GET', `/api/sessions/${encodeURIComponent(summary.id)}`);
+            storeRemoteSession(state, session);
+            updatedIds.push(session.id);
+        } else if (remoteVersion === localVersion) {
+            syncedSessions.set(local.id, JSON.stringify(local));
+        }
+    }
+    let changed = updatedIds.length > 0;
+
+    const { workspace } = await request('GET', '/api/workspace');
+    const before = serializeWorkspace(state);
+    mergeWorkspace(state, workspace);
+    if (state.activeSessionId && !state.sessions[state.activeSessionId]) {
+        state.activeSessionId = findFirstSessionId(state.sidebarItems);
+        changed = true;
+    }
+    const after = serializeWorkspace(state);
+    if (workspace.updatedAt && after === JSON.stringify({ sidebarItems: workspace.sidebarItems, promptTemplates: workspace.promptTemplates })) {
+        syncedWorkspace = after;
+    }
+    if (before !== after) changed = true;
+
+    isServerReachable = true;
+    if (changed) notifyStateChanged(updatedIds);
+    return changed;
+}
+
+/**
+ * Pulls newer sessions and the workspace from the server into state. Returns true if state changed.
+ * Runs at startup and whenever the tab comes back into view; overlapping calls share one pull. Pending
+ * changes are pushed first, so the server's folder tree cannot overwrite them.
+ */
+export function pullFromServer(state) {
+    if (!pullInFlight) pullInFlight = flushPush().then(() => pull(state)).finally(() => { pullInFlight = null; });
+    return pullInFlight;
+}
+
+// [NEW] The server refused a push because another browser saved the session after this browser last synced it.
+// The server's copy wins; edits made here since that sync are kept as a separate conflict copy.
+async function resolveConflict(state, session, baseVersion) {
+    const { session: remote } = await request('GET', `/api/sessions/${encodeURIComponent(session.id)}`);
+    if (state.sessions[session.id] !== session) return; // Replaced meanwhile; the next push sorts it out.
+    if (baseVersion !== undefined && sessionVersion(session) > baseVersion) {
+        const copyId = `session-${Date.now()}-conflict`;
+        state.sessions[copyId] = { ...session, id: copyId, title: `${session.title || '새 대화'} (충돌 사본)`, lastModified: Date.now() };
+        state.sidebarItems.unshift({ type: 'session', id: copyId });
+    }
+    storeRemoteSession(state, remote);
+    notifyStateChanged([session.id]);
+}
+
+// Tells the user about sessions that newly failed to save; ones already reported stay quiet while they keep failing.
+function reportFailedSessions(failures) {
+    const newFailures = failures.filter(({ session }) => !failedSessionIds.has(session.id));
+    failedSessionIds = new Set(failures.map(({ session }) => session.id));
+    if (newFailures.length === 0) return;
+    newFailures.forEach(({ session, error }) => console.warn(`[Sync] Could not save session ${session.id}:`, error.message));
+    const titles = newFailures.map(({ session }) => `'${session.title || session.id}'`).join(', ');
+    Toast.show(`대화를 서버에 저장하지 못했습니다: ${titles} (${newFailures[0].error.message})`, 'warning', 8000);
+}
+
+async function pushState(state) {
+    // A session the server refuses (400, 413, 500) must not hold back the others or the workspace. Errors
+    // without a status mean the server is unreachable; those stop the push, which is retried as a whole.
+    const failures = [];
+    for (const session of Object.values(state.sessions)) {
+        const json = JSON.stringify(session);
+        if (syncedSessions.get(session.id) === json) continue;
+        const baseVersion = syncedVersion(session.id);
+        try {
+            await request('PUT', `/api/sessions/${encodeURIComponent(session.id)}`, json,
+                baseVersion !== undefined ? { 'X-Base-Version': String(baseVersion) } : {});
+            syncedSessions.set(session.id, json);
+        } catch (error) {
+            if (!error.status) throw error;
+            if (error.status !== 409) {
+                failures.push({ session, error });
+            } else if (error.code === 'stale') {
+                // A session still receiving a reply stays dirty and is reconciled on a later push.
+                if (!state.loadingStates?.[session.id]) {
+                    await resolveConflict(state, session, baseVersion).catch(conflictError => {
+                        if (!conflictError.status) throw conflictError;
+                        failures.push({ session, error: conflictError });
+                    });
+                }
+            } else {
+                // Deleted in another browser and not edited here since; the next pull removes it.
+                syncedSessions.set(session.id, json);
+            }
+        }
+    }
+    for (const sessionId of [...syncedSessions.keys()]) {
+        if (state.sessions[sessionId]) continue;
+        try {
+            await request('DELETE', `/api/sessions/${encodeURIComponent(sessionId)}`);
+        } catch (error) {
+            if (!error.status) throw error;
+            if (error.status !== 404) {
+                console.warn(`[Sync] Could not delete session ${sessionId} on the server:`, error.message);
+                continue;
+            }
+        }
+        syncedSessions.delete(sessionId);
+    }
+    try {
+        const workspaceJson = serializeWorkspace(state);
+        if (workspaceJson !== syncedWorkspace) {
+            await request('PUT', '/api/workspace', workspaceJson);
+            syncedWorkspace = workspaceJson;
+        }
+    } finally {
+        reportFailedSessions(failures);
+    }
+}
+
+function flushPush() {
+    clearTimeout(pushTimer);
+    pushTimer = null;
+    const state = pendingState;
+    pendingState = null;
+    if (!state) return pushChain;
+    pushChain = pushChain
+        .then(() => pushState(state))
+        .then(() => {
+            if (!isServerReachable) console.log('[Sync] Server connection restored.');
+            isServerReachable = true;
+        })
+        .catch(error => {
+            // Unsynced changes stay dirty and are retried on the next push.
+            if (isServerReachable) console.warn('[Sync] Failed to push changes to the server:', error.message);
+            isServerReachable = false;
+        });
+    return pushChain;
+}
+
+// Callers stay synchronous: changes are diffed against the last synced copy and pushed shortly afterwards.
+export function schedulePush(state) {
+    pendingState = state;
+    if (!pushTimer) pushTimer = setTimeout(flushPush, PUSH_DEBOUNCE_MS);
+}
+
+export function flushSync() {
+    return flushPush();
+}
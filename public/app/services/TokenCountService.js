@@ -0,0 +1,78 @@
+// [Service] Supplies the context meter: the active session's history is counted by the server
+// (countTokens) once per change, while the draft and attachments are estimated locally on every keystroke.
+import * as GeminiAPIService from './GeminiAPIService.js';
+import { getSystemPrompt, getApiHistory } from './ChatService.js';
+import { estimateTextTokens, estimateFileTokens, estimateHistoryTokens } from '../utils/tokenEstimator.js';
+
+const COUNT_DEBOUNCE_MS = 800;
+const historyCounts = new Map(); // sessionId -> { signature, totalTokens, estimated, pending }
+let countTimer = null;
+let countController = null;
+let scheduledSessionId = null; // Switching sessions cancels the other session's pending count.
+
+function getSignature(session, systemPrompt) {
+    return `${session.model}|${session.history.length}|${session.lastModified}|${systemPrompt}`;
+}
+
+function scheduleCount(state, session, systemPrompt, signature) {
+    clearTimeout(countTimer);
+    if (countController) countController.abort();
+    scheduledSessionId = session.id;
+    countTimer = setTimeout(async () => {
+        const controller = new AbortController();
+        countController = controller;
+        const entry = historyCounts.get(session.id);
+        try {
+            const primaryKeyId = state.settings.apiKeyAliases?.[0]?.id;
+            const result = await GeminiAPIService.countTokens(primaryKeyId, session.model, getApiHistory(session), systemPrompt, controller.signal);
+            if (historyCounts.get(session.id) !== entry) return;
+            historyCounts.set(session.id, { signature, totalTokens: result.totalTokens, estimated: result.estimated, pending: false });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('[TokenCountService] Token count failed, keeping the local estimate:', error.message);
+            if (historyCounts.get(session.id) === entry) historyCounts.set(session.id, { ...entry, pending: false });
+        } finally {
+            if (countController === controller) {
+                countController = null;
+                scheduledSessionId = null;
+            }
+        }
+        document.dispatchEvent(new CustomEvent('token-count-updated', { detail: { sessionId: session.id } }));
+    }, COUNT_DEBOUNCE_MS);
+}
+
+/**
+ * Tokens the next request of the active session would use.
+ * @returns {{ historyTokens: number, draftTokens: number, totalTokens: number, limit: number|null,
+ *             historyTokenLimit: number, estimated: boolean, pending: boolean } | null}
+ */
+export function getContextUsage(state, draftText) {
+    const session = state.sessions[state.activeSessionId];
+    if (!session) return null;
+    const systemPrompt = getSystemPrompt(session);
+    const signature = getSignature(session, systemPrompt);
+    let history = historyCounts.get(session.id);
+    if (!history || history.signature !== signature) {
+        history = {
+            signature,
+            totalTokens: estimateHistoryTokens(getApiHistory(session)) + estimateTextTokens(systemPrompt),
+            estimated: true,
+            pending: true,
+        };
+        historyCounts.set(session.id, history);
+        scheduleCount(state, session, systemPrompt, signature);
+    } else if (history.pending && scheduledSessionId !== session.id) {
+        scheduleCount(state, session, systemPrompt, signature);
+    }
+    const draftTokens = estimateTextTokens(draftText) + state.attachedFiles.reduce((sum, file) => sum + estimateFileTokens(file), 0);
+    const model = (state.availableModels || []).find(m => m.id === session.model);
+    return {
+        historyTokens: history.totalTokens,
+        draftTokens,
+        totalTokens: history.totalTokens + draftTokens,
+        limit: model?.inputTokenLimit || null,
+        historyTokenLimit: state.settings.historyTokenLimit || 0,
+        estimated: history.estimated,
+        pending: history.pending,
+    };
+}
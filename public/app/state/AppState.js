@@ -1,21 +1,26 @@
 // [CoreDNA] This module is the single source of truth for the application state.
-import { loadData } from '../../utils/storage.js';
+import { loadData, saveData, flushData } from '../../utils/storage.js';
+import { schedulePush } from '../services/SyncService.js';
 
 const initialState = {
     settings: { 
-        apiKey: '', 
-        fallbackApiKeys: [],
+        apiKeyAliases: [], // [NEW] Vault keys as { id, alias, last4 }; plaintext keys live only on the server.
         defaultModel: '', 
         managedModels: [],
         historyTokenLimit: 0,
+        historyCompaction: 'truncate', // [NEW] 'truncate' | 'summarize': 제한을 넘는 오래된 대화를 버릴지, 요약해 유지할지
+        compactionModel: 'gemini-2.0-flash-lite', // [NEW] 요약에 사용할 (저렴한) 모델
+        maxRetryAttempts: 4, // [NEW] 일시적 오류(과부하·5xx·네트워크) 시 서버가 시도할 최대 횟수 (1이면 재시도 안 함)
         dailyLimits: {},
+        modelFallbacks: {}, // [NEW] modelId -> 사용 불가(할당량 소진 등) 시 대신 사용할 모델 ID
         favoriteModels: [],
         typingSpeed: 30,
+        streamResponses: true, // 응답을 실시간 스트리밍으로 표시 (false면 타이핑 효과 사용)
         sidebarSortMode: 'lastModified',
         mathRenderer: 'katex',
         defaultSystemPromptId: null, // 새 세션에 기본으로 적용할 시스템 프롬프트 ID
-        temperature: 1.0, // AI 응답의 창의성 조절 (0.0-2.0)
-        topP: 0.9, // AI 응답의 다양성 조절 (0.1-1.0)
+        temperature: 1.0, // 새 대화의 기본 온도 (0.0-2.0, 대화마다 따로 조절)
+        topP: 0.9, // 새 대화의 기본 Top-P (0.1-1.0, 대화마다 따로 조절)
         modelCosts: {
             'gemini-1.5-pro-latest':   { input: 3.50, output: 10.50 },
             'gemini-1.5-flash-latest': { input: 0.35, output: 1.05  },
@@ -40,14 +45,17 @@ const initialState = {
 
 // [NEW] Data Sanitization Logic
 // This function ensures data loaded from storage is clean and consistent.
-function sanitizePersistentState(loadedState) {
+export function sanitizePersistentState(loadedState) {
     if (!loadedState) return {};
 
     // Rule 1: Clean up any unfinished streaming states from previous sessions.
     if (loadedState.sessions) {
         Object.values(loadedState.sessions).forEach(session => {
             if (session.history && Array.isArray(session.history)) {
-                session.history.forEach(message => {
+                // [MODIFIED] Stashed branch variants are checked as well as the active path.
+                const stashedMessages = Object.values(session.branchPoints || {})
+                    .flatMap(point => (point.variants || []).filter(Array.isArray).flat());
+                [...session.history, ...stashedMessages].forEach(message => {
                     if (message && message.receivedAt) {
                         console.warn(`[Sanitizer] Found and removed stale 'receivedAt' property from a message in session ${session.id}`);
                         delete message.receivedAt;
@@ -101,49 +109,68 @@ function sanitizePersistentState(loadedState) {
     return loadedState;
 }
 
-let rawLoadedState = loadData();
-let loadedState = sanitizePersistentState(rawLoadedState);
-
-export const appState = {
-    ...initialState,
-    ...loadedState,
-    settings: {
-        ...initialState.settings,
-        ...(loadedState.settings || {}),
-        managedModels: loadedState.settings?.managedModels || [],
-        fallbackApiKeys: loadedState.settings?.fallbackApiKeys || [],
-        dailyLimits: loadedState.settings?.dailyLimits || {},
-        favoriteModels: loadedState.settings?.favoriteModels || [],
-        typingSpeed: loadedState.settings?.typingSpeed ?? initialState.settings.typingSpeed,
-        sidebarSortMode: loadedState.settings?.sidebarSortMode || initialState.settings.sidebarSortMode,
-        mathRenderer: loadedState.settings?.mathRenderer || initialState.settings.mathRenderer,
-        modelCosts: {
-             ...initialState.settings.modelCosts,
-             ...(loadedState.settings?.modelCosts || {})
+// [MODIFIED] Persistent data is loaded asynchronously (IndexedDB), so appState starts from defaults
+// and is filled in place by loadState() during app initialization.
+function buildStateFromStorage(loadedState) {
+    return {
+        ...initialState,
+        ...loadedState,
+        settings: {
+            ...initialState.settings,
+            ...(loadedState.settings || {}),
+            managedModels: loadedState.settings?.managedModels || [],
+            apiKeyAliases: loadedState.settings?.apiKeyAliases || [],
+            dailyLimits: loadedState.settings?.dailyLimits || {},
+            modelFallbacks: loadedState.settings?.modelFallbacks || {},
+            favoriteModels: loadedState.settings?.favoriteModels || [],
+            typingSpeed: loadedState.settings?.typingSpeed ?? initialState.settings.typingSpeed,
+            streamResponses: loadedState.settings?.streamResponses ?? initialState.settings.streamResponses,
+            sidebarSortMode: loadedState.settings?.sidebarSortMode || initialState.settings.sidebarSortMode,
+            mathRenderer: loadedState.settings?.mathRenderer || initialState.settings.mathRenderer,
+            modelCosts: {
+                 ...initialState.settings.modelCosts,
+                 ...(loadedState.settings?.modelCosts || {})
+            },
         },
-    },
-    sessions: loadedState.sessions ? Object.entries(loadedState.sessions).reduce((acc, [id, session]) => {
-        acc[id] = { ...session, systemPromptId: session.systemPromptId || null, tags: session.tags || [] };
-        return acc;
-    }, {}) : {},
-    sidebarItems: loadedState.sidebarItems || initialState.sidebarItems,
-    dailyUsage: loadedState.dailyUsage || initialState.dailyUsage,
-    promptTemplates: loadedState.promptTemplates || initialState.promptTemplates,
-    // IMPORTANT: loadingStates is always initialized as empty, never loaded from storage.
-    loadingStates: {},
-    attachedFiles: loadedState.attachedFiles || [],
-};
+        sessions: loadedState.sessions ? Object.entries(loadedState.sessions).reduce((acc, [id, session]) => {
+            acc[id] = { ...session, systemPromptId: session.systemPromptId || null, tags: session.tags || [], branchPoints: session.branchPoints || {} };
+            return acc;
+        }, {}) : {},
+        sidebarItems: loadedState.sidebarItems || initialState.sidebarItems,
+        dailyUsage: loadedState.dailyUsage || initialState.dailyUsage,
+        promptTemplates: loadedState.promptTemplates || initialState.promptTemplates,
+        // IMPORTANT: loadingStates and attachedFiles are always initialized as empty, never loaded from storage.
+        loadingStates: {},
+        attachedFiles: [],
+    };
+}
+
+export const appState = buildStateFromStorage({});
 
-export function refreshState() {
-    console.log('[AppState] Refreshing state from localStorage...');
-    let freshRawData = loadData();
+export async function loadState() {
+    console.log('[AppState] Loading state from storage...');
+    const loadedState = sanitizePersistentState(await loadData());
+    Object.assign(appState, buildStateFromStorage(loadedState));
+}
+
+// [NEW] Replaces all persistent data in place (e.g. when restoring a backup) and persists it.
+export function replaceState(persistentState) {
+    const { loadingStates } = appState;
+    Object.assign(appState, buildStateFromStorage(sanitizePersistentState(persistentState)), { loadingStates });
+    saveState();
+}
+
+export async function refreshState() {
+    console.log('[AppState] Refreshing state from storage...');
+    await flushData();
+    let freshRawData = await loadData();
     let freshData = sanitizePersistentState(freshRawData);
 
     appState.settings = { 
         ...initialState.settings, 
         ...(freshData.settings || {}), 
         managedModels: freshData.settings?.managedModels || [],
-        fallbackApiKeys: freshData.settings?.fallbackApiKeys || [],
+        apiKeyAliases: freshData.settings?.apiKeyAliases || [],
         modelCosts: {
             ...initialState.settings.modelCosts,
             ...(freshData.settings?.modelCosts || {})
@@ -156,12 +183,7 @@ export function refreshState() {
 }
 
 export function saveState() {
-    console.log('[AppState] Saving state to localStorage...');
-    try {
-        const STORAGE_KEY = 'geminiChatApp';
-        const { loadingStates, ...stateToSave } = appState;
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(stateToSave));
-    } catch (error) {
-        console.error('Failed to save state to localStorage:', error);
-    }
-}
\ No newline at end of file
+    console.log('[AppState] Saving state to storage...');
+    saveData(appState);
+    schedulePush(appState);
+}
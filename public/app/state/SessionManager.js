@@ -1,8 +1,17 @@
 // [CoreDNA] A collection of pure functions for session and sidebar state manipulation.
 import { saveData } from '../../utils/storage.js';
+import { schedulePush } from '../services/SyncService.js';
 import * as Toast from '../../components/Toast.js';
+import { compactGenerationConfig, getDefaultSamplingSettings, resolveGenerationSettings } from '../modules/GenerationConfig.js';
 
 // --- Helper ---
+// Persists locally and queues the change for the server-side session store. Callers that change a session
+// bump its lastModified: sync only fetches and accepts copies that are newer than the one it has.
+function commit(state) {
+    saveData(state);
+    schedulePush(state);
+}
+
 function findItemRecursive(items, itemId, parent = null) {
     for (let i = 0; i < items.length; i++) {
         const item = items[i];
@@ -64,13 +73,16 @@ export function newSession(state) {
         history: [],
         isPinned: false,
         systemPromptId: defaultSystemPromptId,
+        // [MODIFIED] Each session carries its own generation settings, starting from the defaults.
+        generationConfig: { ...getDefaultSamplingSettings(state.settings), ...getTemplateGenerationConfig(state, defaultSystemPromptId) },
         tags: [],
+        branchPoints: {},
         // [REMOVED] scrollPosition is no longer needed.
     };
     state.activeSessionId = newId;
     state.attachedFiles = [];
     state.sidebarItems.unshift({ type: 'session', id: newId });
-    saveData(state);
+    commit(state);
     return state;
 }
 
@@ -97,7 +109,7 @@ export function deleteSession(state, sessionId) {
             return state;
         }
     }
-    saveData(state);
+    commit(state);
     return state;
 }
 export function switchSession(state, sessionId) {
@@ -118,7 +130,7 @@ export function addMessage(state, sessionId, role, parts, metadata = {}) {
     } else {
         console.error(`Attempted to add a message to a non-existent session: ${sessionId}`);
     }
-    saveData(state);
+    commit(state);
     return message; // [MODIFIED] Return the created message object
 }
 
@@ -128,7 +140,8 @@ export function markTypingAsComplete(state, sessionId, messageId) {
     const message = session.history.find(m => m.id === messageId);
     if (message && message.receivedAt) {
         delete message.receivedAt;
-        saveData(state);
+        session.lastModified = Date.now();
+        commit(state);
     }
 }
 
@@ -137,9 +150,15 @@ export function deleteMessage(state, sessionId, messageId) {
     if (session) {
         const messageIndex = session.history.findIndex(m => m.id === messageId);
         if (messageIndex > -1) {
+            rekeyBranchPoint(session, messageId, getBranchKey(session, messageIndex));
+            // Keep the context summary anchored to the last message it still covers.
+            if (session.contextSummary?.throughMessageId === messageId) {
+                const previous = session.history[messageIndex - 1];
+                session.contextSummary = previous ? { ...session.contextSummary, throughMessageId: previous.id } : null;
+            }
             session.history.splice(messageIndex, 1);
             session.lastModified = Date.now();
-            saveData(state);
+            commit(state);
         }
     }
     return state;
@@ -161,20 +180,146 @@ function updateMessageEditingState(state, sessionId, messageId, isEditing) {
 export const startEditingMessage = (state, sessionId, messageId) => updateMessageEditingState(state, sessionId, messageId, true);
 export const cancelEditingMessage = (state, sessionId, messageId) => updateMessageEditingState(state, sessionId, messageId, false);
 
+// [MODIFIED] Editing no longer discards the original: it is kept as a sibling branch.
 export function saveEditedMessage(state, sessionId, messageId, newParts) {
     const session = state.sessions[sessionId];
     if (!session) return state;
     const messageIndex = session.history.findIndex(m => m.id === messageId);
     if (messageIndex === -1) return state;
-    session.history.splice(messageIndex + 1);
-    const message = session.history[messageIndex];
-    message.parts = newParts;
-    delete message.isEditing;
+    const original = session.history[messageIndex];
+    delete original.isEditing;
+    forkAt(state, sessionId, messageIndex);
+    const { id, ...rest } = original;
+    session.history.push({ ...rest, id: `msg-${Date.now()}-${Math.random()}`, parts: newParts });
     session.lastModified = Date.now();
-    saveData(state);
+    commit(state);
+    return state;
+}
+
+// --- Branch Management ---
+// [NEW] session.history is always the active path (what is rendered and sent to the API).
+// Alternative continuations live in session.branchPoints, keyed by the id of the message they
+// follow ('root' for the first message). Each point holds one tail per variant; the active
+// variant's slot is null because its messages are the ones currently in history.
+const ROOT_BRANCH_KEY = 'root';
+
+function getBranchKey(session, index) {
+    return index === 0 ? ROOT_BRANCH_KEY : session.history[index - 1].id;
+}
+
+function rekeyBranchPoint(session, oldKey, newKey) {
+    const point = session.branchPoints?.[oldKey];
+    if (!point) return;
+    delete session.branchPoints[oldKey];
+    const existing = session.branchPoints[newKey];
+    if (!existing) {
+        session.branchPoints[newKey] = point;
+        return;
+    }
+    // Both points now hold tails that follow the same message. The existing point's active (null) slot
+    // already stands for the current history, so only the stashed variants move over.
+    existing.variants.push(...point.variants.filter(Boolean));
+}
+
+function stashTail(session, index) {
+    const tail = session.history.splice(index);
+    tail.forEach(message => { delete message.receivedAt; delete message.isEditing; });
+    return tail;
+}
+
+export function getBranchInfo(session, messageId) {
+    if (!session || !session.branchPoints) return null;
+    const index = session.history.findIndex(m => m.id === messageId);
+    if (index === -1) return null;
+    const point = session.branchPoints[getBranchKey(session, index)];
+    if (!point || point.variants.length < 2) return null;
+    return { current: point.active + 1, total: point.variants.length };
+}
+
+// Stashes history[index..] as the current variant and starts a new, empty one in its place.
+export function forkAt(state, sessionId, index) {
+    const session = state.sessions[sessionId];
+    if (!session || index < 0 || index > session.history.length) return state;
+    if (!session.branchPoints) session.branchPoints = {};
+    const key = getBranchKey(session, index);
+    if (!session.branchPoints[key]) session.branchPoints[key] = { active: 0, variants: [null] };
+    const point = session.branchPoints[key];
+    point.variants[point.active] = stashTail(session, index);
+    point.variants.push(null);
+    point.active = point.variants.length - 1;
+    session.lastModified = Date.now();
+    commit(state);
+    return state;
+}
+
+export function switchBranch(state, sessionId, messageId, direction) {
+    const session = state.sessions[sessionId];
+    if (!session || !session.branchPoints) return state;
+    const index = session.history.findIndex(m => m.id === messageId);
+    if (index === -1) return state;
+    const point = session.branchPoints[getBranchKey(session, index)];
+    const target = point ? point.active + direction : -1;
+    if (!point || target < 0 || target >= point.variants.length) return state;
+    point.variants[point.active] = stashTail(session, index);
+    session.history.push(...(point.variants[target] || []));
+    point.variants[target] = null;
+    point.active = target;
+    session.lastModified = Date.now();
+    commit(state);
+    return state;
+}
+
+// [NEW] Variations: a reply generated with candidateCount > 1 keeps every candidate in message.candidates
+// ([{ parts, finishReason }]) and mirrors the one shown (activeCandidate) in message.parts.
+export function setActiveCandidate(state, sessionId, messageId, candidateIndex) {
+    const message = state.sessions[sessionId]?.history.find(m => m.id === messageId);
+    if (!message?.candidates?.[candidateIndex]) return state;
+    message.activeCandidate = candidateIndex;
+    message.parts = message.candidates[candidateIndex].parts;
+    state.sessions[sessionId].lastModified = Date.now();
+    commit(state);
+    return state;
+}
+
+// Keeps the chosen candidate (the shown one by default) in history and turns the others into sibling branches.
+export function selectCandidate(state, sessionId, messageId, candidateIndex) {
+    const session = state.sessions[sessionId];
+    const index = session ? session.history.findIndex(m => m.id === messageId) : -1;
+    if (index === -1 || !session.history[index].candidates) return state;
+    const { candidates, activeCandidate = 0, ...message } = session.history[index];
+    const chosen = candidateIndex ?? activeCandidate;
+    if (!session.branchPoints) session.branchPoints = {};
+    const key = getBranchKey(session, index);
+    if (!session.branchPoints[key]) session.branchPoints[key] = { active: 0, variants: [null] };
+    candidates.forEach((candidate, i) => {
+        if (i === chosen) return;
+        session.branchPoints[key].variants.push([{ ...message, id: `msg-${Date.now()}-${Math.random()}`, parts: candidate.parts }]);
+    });
+    session.history[index] = { ...message, parts: candidates[chosen].parts };
+    session.lastModified = Date.now();
+    commit(state);
+    return state;
+}
+
+// [NEW] Context compaction: the running summary of turns that no longer fit historyTokenLimit,
+// as { text, throughMessageId, model, updatedAt[, editedAt] }.
+export function setContextSummary(state, sessionId, summary) {
+    const session = state.sessions[sessionId];
+    if (!session) return state;
+    session.contextSummary = summary;
+    session.lastModified = Date.now();
+    commit(state);
     return state;
 }
 
+export function editContextSummary(state, sessionId, text) {
+    const session = state.sessions[sessionId];
+    if (!session?.contextSummary) return state;
+    return setContextSummary(state, sessionId, { ...session.contextSummary, text, editedAt: Date.now() });
+}
+
+export const clearContextSummary = (state, sessionId) => setContextSummary(state, sessionId, null);
+
 export function recordApiUsage(state, sessionId, modelId, usageMetadata, apiKeyIdentifier, forceIncrement = false) {
     if (!apiKeyIdentifier) { console.warn('[Usage] API Key Identifier not provided. Usage not recorded.'); return state; }
     const totalTokens = usageMetadata.totalTokenCount || 0;
@@ -185,10 +330,12 @@ export function recordApiUsage(state, sessionId, modelId, usageMetadata, apiKeyI
     keyUsage.tokens[modelId] = (keyUsage.tokens[modelId] || 0) + totalTokens;
     if (totalTokens > 0) {
         if (!state.usage) state.usage = [];
-        state.usage.push({ sessionId, timestamp: Date.now(), model: modelId, promptTokens: usageMetadata.promptTokenCount || 0, outputTokens: usageMetadata.candidatesTokenCount || 0, totalTokens: totalTokens });
+        const entry = { sessionId, timestamp: Date.now(), model: modelId, promptTokens: usageMetadata.promptTokenCount || 0, outputTokens: usageMetadata.candidatesTokenCount || 0, totalTokens: totalTokens };
+        if (usageMetadata.cancelled) entry.cancelled = true;
+        state.usage.push(entry);
     }
     _checkLimitAndNotify(state, modelId, apiKeyIdentifier);
-    saveData(state);
+    commit(state);
     return state;
 }
 
@@ -202,7 +349,7 @@ export function updateTitleFromHistory(state, sessionId) {
                 const titleText = textPart.text;
                 session.title = titleText.substring(0, 30) + (titleText.length > 30 ? '...' : '');
                 session.lastModified = Date.now();
-                saveData(state);
+                commit(state);
             }
         }
     }
@@ -220,7 +367,7 @@ export function updateSessionModel(state, modelId) {
         
         activeSession.model = modelId;
         activeSession.lastModified = Date.now();
-        saveData(state);
+        commit(state);
         
         console.log('Session model updated successfully');
     } else {
@@ -229,16 +376,50 @@ export function updateSessionModel(state, modelId) {
     return state;
 }
 
+// [NEW] Prompt templates can carry generation parameters as a preset for the sessions that use them.
+function getTemplateGenerationConfig(state, templateId) {
+    const template = (state.promptTemplates || []).find(t => t.id === templateId);
+    return { ...(template?.generationConfig || {}) };
+}
+
+// A template's preset replaces the session's parameters; sampling settings it does not specify are kept.
+export function applyTemplateGenerationPreset(state, session) {
+    const preset = (state.promptTemplates || []).find(t => t.id === session.systemPromptId)?.generationConfig;
+    if (!preset) return;
+    const { temperature, topP } = resolveGenerationSettings(session, state.settings);
+    session.generationConfig = { temperature, topP, ...preset };
+}
+
 export function updateSystemPromptId(state, templateId) {
     const activeSession = state.sessions[state.activeSessionId];
     if (activeSession) {
         activeSession.systemPromptId = templateId === 'none' ? null : templateId;
+        applyTemplateGenerationPreset(state, activeSession);
         activeSession.lastModified = Date.now();
-        saveData(state);
+        commit(state);
     }
     return state;
 }
 
+// [NEW] Generation parameters of a session (sampling settings plus the ones set; see modules/GenerationConfig.js).
+export function updateGenerationConfig(state, sessionId, config) {
+    const session = state.sessions[sessionId];
+    if (!session) return state;
+    session.generationConfig = compactGenerationConfig(config);
+    session.lastModified = Date.now();
+    commit(state);
+    return state;
+}
+
+export function saveGenerationConfigToTemplate(state, sessionId) {
+    const session = state.sessions[sessionId];
+    const template = (state.promptTemplates || []).find(t => t.id === session?.systemPromptId);
+    if (!template) return null;
+    template.generationConfig = resolveGenerationSettings(session, state.settings);
+    commit(state);
+    return template;
+}
+
 // --- Tag Management ---
 export function addTagToSession(state, sessionId, tag) {
     const session = state.sessions[sessionId];
@@ -249,7 +430,8 @@ export function addTagToSession(state, sessionId, tag) {
         }
         if (!session.tags.includes(trimmedTag)) {
             session.tags.push(trimmedTag);
-            saveData(state);
+            session.lastModified = Date.now();
+            commit(state);
         }
     }
     return state;
@@ -262,7 +444,8 @@ export function removeTagFromSession(state, sessionId, tag) {
         const index = session.tags.indexOf(trimmedTag);
         if (index > -1) {
             session.tags.splice(index, 1);
-            saveData(state);
+            session.lastModified = Date.now();
+            commit(state);
         }
     }
     return state;
@@ -275,7 +458,8 @@ export function togglePinSession(state, sessionId) {
     const session = state.sessions[sessionId];
     if (session) {
         session.isPinned = !session.isPinned;
-        saveData(state);
+        session.lastModified = Date.now();
+        commit(state);
     }
     return state;
 }
@@ -292,7 +476,7 @@ export function renameItem(state, itemId, newName) {
         } else { // folder
             found.item.name = newName.trim();
         }
-        saveData(state);
+        commit(state);
     }
     return state;
 }
@@ -300,7 +484,7 @@ export function renameItem(state, itemId, newName) {
 export function createFolder(state) {
     const newFolder = { type: 'folder', id: `folder-${Date.now()}`, name: '새 폴더', isOpen: true, children: [] };
     state.sidebarItems.unshift(newFolder);
-    saveData(state);
+    commit(state);
     return state;
 }
 
@@ -308,7 +492,7 @@ export function toggleFolder(state, folderId) {
     const found = findItemRecursive(state.sidebarItems, folderId);
     if (found && found.item.type === 'folder') {
         found.item.isOpen = !found.item.isOpen;
-        saveData(state);
+        commit(state);
     }
     return state;
 }
@@ -317,7 +501,7 @@ export function deleteFolder(state, folderId) {
     const found = findItemRecursive(state.sidebarItems, folderId);
     if (found && found.item.type === 'folder') {
         found.parentList.splice(found.index, 1, ...found.item.children);
-        saveData(state);
+        commit(state);
     }
     return state;
 }
@@ -339,10 +523,41 @@ export function moveItem(state, itemId, targetId) {
             targetResult.parentList.splice(targetResult.index + 1, 0, movedItem);
         }
     }
-    saveData(state);
+    commit(state);
     return state;
 }
 
+// [NEW] Adds imported sessions under a new folder.
+// conflictStrategy decides what happens when an imported id already exists: 'skip' | 'rename' | 'overwrite'.
+export function importSessions(state, sessions, folderName, conflictStrategy = 'rename') {
+    const now = Date.now();
+    const folder = { type: 'folder', id: `folder-${now}`, name: folderName, isOpen: true, children: [] };
+    const summary = { imported: 0, skipped: 0, renamed: 0, overwritten: 0 };
+    sessions.forEach((session, index) => {
+        let sessionId = session.id;
+        if (state.sessions[sessionId]) {
+            if (conflictStrategy === 'skip') {
+                summary.skipped++;
+                return;
+            }
+            if (conflictStrategy === 'overwrite') {
+                const found = findItemRecursive(state.sidebarItems, sessionId);
+                if (found) found.parentList.splice(found.index, 1);
+                summary.overwritten++;
+            } else {
+                sessionId = `session-${now}-${index}`;
+                summary.renamed++;
+            }
+        }
+        state.sessions[sessionId] = { ...session, id: sessionId, restoredAt: now };
+        folder.children.push({ type: 'session', id: sessionId });
+        summary.imported++;
+    });
+    if (folder.children.length > 0) state.sidebarItems.unshift(folder);
+    commit(state);
+    return summary;
+}
+
 export function resetAllSessions(state) {
     state.sessions = {};
     state.sidebarItems = [];
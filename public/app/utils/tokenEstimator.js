@@ -0,0 +1,118 @@
+// [Module] Instant local token estimates for the context meter, mirroring server/tokenCounter.js.
+// Only used for what the server hasn't counted yet (the draft and pending attachments).
+import { countSelectedChars } from '../modules/PageRanges.js';
+
+const IMAGE_TILE_SIZE = 768;
+const TOKENS_PER_IMAGE_TILE = 258;
+const SMALL_IMAGE_SIZE = 384;
+// Extracted PDF text is unknown until the server parses it; about one token per 12 bytes of file is typical.
+const PDF_BYTES_PER_TOKEN = 12;
+// With only a character count known, extracted text is assumed to be mostly Latin script.
+const CHARS_PER_TOKEN = 4;
+// Audio and video are billed per second; a transcript of speech is far smaller.
+const TOKENS_PER_AUDIO_SECOND = 32;
+const TOKENS_PER_VIDEO_SECOND = 263;
+const TRANSCRIPT_TOKENS_PER_SECOND = 4;
+const DOCUMENT_PART_TYPES = ['docx-attachment', 'spreadsheet-attachment', 'presentation-attachment', 'html-attachment'];
+// PDFs sent as documents are billed per page.
+const TOKENS_PER_DOCUMENT_PAGE = 258;
+
+// Roughly 4 ASCII characters per token, while Hangul and CJK characters are about one token each.
+export function estimateTextTokens(text) {
+    if (!text) return 0;
+    let ascii = 0;
+    let wide = 0;
+    let other = 0;
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) ascii++;
+        else if ((code >= 0xAC00 && code <= 0xD7A3) || (code >= 0x1100 && code <= 0x11FF) || (code >= 0x3040 && code <= 0x30FF)
+            || (code >= 0x3400 && code <= 0x9FFF) || (code >= 0xF900 && code <= 0xFAFF)) wide++;
+        else other++;
+    }
+    return Math.ceil(ascii / 4 + wide + other / 2);
+}
+
+function readImageSize(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length >= 24 && view.getUint32(0) === 0x89504E47) {
+        return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+    if (bytes.length >= 10 && bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+        return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+    }
+    if (bytes.length >= 4 && bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (bytes[offset] !== 0xFF) return null;
+            const marker = bytes[offset + 1];
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    }
+    return null;
+}
+
+function estimateImageTokensForSize(size) {
+    if (!size?.width || (size.width <= SMALL_IMAGE_SIZE && size.height <= SMALL_IMAGE_SIZE)) return TOKENS_PER_IMAGE_TILE;
+    return Math.ceil(size.width / IMAGE_TILE_SIZE) * Math.ceil(size.height / IMAGE_TILE_SIZE) * TOKENS_PER_IMAGE_TILE;
+}
+
+export function estimateImageTokens(dataUrl) {
+    let size = null;
+    try {
+        const binary = atob(((dataUrl || '').split(',')[1] || '').slice(0, 65536));
+        size = readImageSize(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    } catch (error) {
+        size = null;
+    }
+    return estimateImageTokensForSize(size);
+}
+
+// Attachments and message parts both carry the mode, page and character counts once the server measured them.
+function estimatePdfTokens({ mode, pageCount, charCount }, byteSize) {
+    if (mode === 'document') return (pageCount || 1) * TOKENS_PER_DOCUMENT_PAGE;
+    if (charCount !== undefined) return Math.ceil(charCount / CHARS_PER_TOKEN);
+    return Math.ceil((byteSize || 0) / PDF_BYTES_PER_TOKEN);
+}
+
+// Office and HTML documents are sent as extracted text, measured by the server on upload.
+function estimateDocumentTokens(info, byteSize) {
+    if (info?.charCount !== undefined) return Math.ceil(info.charCount / CHARS_PER_TOKEN);
+    return Math.ceil((byteSize || 0) / PDF_BYTES_PER_TOKEN);
+}
+
+function estimateMediaTokens(mimeType, mode, duration) {
+    if (!duration) return 0;
+    if (mode === 'transcript') return Math.ceil(duration * TRANSCRIPT_TOKENS_PER_SECOND);
+    return Math.ceil(duration * (mimeType.startsWith('video/') ? TOKENS_PER_VIDEO_SECOND : TOKENS_PER_AUDIO_SECOND));
+}
+
+/** Estimates an attached file ({ type, name, size, data } or a stored { fileId, width, height }) as it will be sent. */
+export function estimateFileTokens(file) {
+    if (file.documentKind) return estimateDocumentTokens(file.documentInfo, file.size);
+    if (file.type.startsWith('audio/') || file.type.startsWith('video/')) return estimateMediaTokens(file.type, file.mediaMode, file.duration);
+    if (file.type.startsWith('image/')) return file.fileId ? estimateImageTokensForSize(file) : estimateImageTokens(file.data);
+    if (file.type === 'application/pdf') {
+        const charCount = countSelectedChars(file.pageCharCounts, file.pageRanges) ?? file.charCount;
+        return estimatePdfTokens({ mode: file.pdfMode, pageCount: file.pageCount, charCount }, file.size);
+    }
+    return estimateTextTokens(file.data);
+}
+
+function estimatePartTokens(part) {
+    if (part.type === 'text') return estimateTextTokens(part.text);
+    if (part.type === 'image') return part.fileId ? estimateImageTokensForSize(part) : estimateImageTokens(part.data);
+    if (part.type === 'code-summary') return estimateTextTokens(part.summary?.fullCode);
+    if (part.type === 'audio' || part.type === 'video') return estimateMediaTokens(part.mimeType, part.mode, part.duration);
+    if (DOCUMENT_PART_TYPES.includes(part.type)) return estimateDocumentTokens(part.info, part.size);
+    if (part.type === 'pdf-attachment') return estimatePdfTokens(part, part.size ?? (part.data || '').length * 0.75);
+    return 0;
+}
+
+/** Estimates a history in the app's message format, shown until the server's count arrives. */
+export function estimateHistoryTokens(history) {
+    return history.reduce((sum, message) => sum + (message.parts || []).reduce((acc, part) => acc + estimatePartTokens(part), 0), 0);
+}
@@ -0,0 +1,118 @@
+// [Component] Popover panel for the active session's extra generation parameters
+// (max tokens, top-K, stop sequences, seed, candidates, penalties, response format).
+import { $ } from '../utils/dom.js';
+import { createDOMElement } from './common.js';
+import { appState } from '../app/state/AppState.js';
+import { handlers } from '../app/events/handlerOrchestrator.js';
+import { GENERATION_FIELDS, getFieldLimits, parseFieldValue, validateGenerationConfig } from '../app/modules/GenerationConfig.js';
+
+let elements;
+const fieldControls = new Map(); // key -> { field, input, errorEl }
+
+function getActiveContext(state) {
+    const session = state.sessions[state.activeSessionId];
+    const model = session ? state.availableModels.find(m => m.id === session.model) : null;
+    return { session, model };
+}
+
+function createInput(field) {
+    const id = `gen-param-${field.key}`;
+    if (field.type === 'list') {
+        return createDOMElement('textarea', { id, rows: '2', placeholder: `한 줄에 하나씩 (최대 ${field.maxItems}개)` });
+    }
+    if (field.type === 'enum') {
+        const select = createDOMElement('select', { id });
+        select.appendChild(new Option('기본값', ''));
+        field.options.forEach(option => select.appendChild(new Option(option, option)));
+        return select;
+    }
+    return createDOMElement('input', { id, type: 'number', step: field.type === 'integer' ? '1' : '0.1' });
+}
+
+function buildFields() {
+    GENERATION_FIELDS.forEach(field => {
+        const input = createInput(field);
+        const errorEl = createDOMElement('p', { className: 'gen-param-error hidden' });
+        const row = createDOMElement('div', { className: `gen-param-row gen-param-${field.type}` },
+            createDOMElement('label', { for: input.id }, field.label),
+            input,
+            errorEl
+        );
+        input.addEventListener('change', () => handleFieldChange(field));
+        fieldControls.set(field.key, { field, input, errorEl });
+        elements.fields.appendChild(row);
+    });
+}
+
+function showError(key, message) {
+    const { errorEl, input } = fieldControls.get(key);
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+    input.classList.toggle('is-invalid', !!message);
+}
+
+function handleFieldChange(field) {
+    const { model } = getActiveContext(appState);
+    const result = parseFieldValue(field, fieldControls.get(field.key).input.value, model);
+    if (result.error) {
+        showError(field.key, result.error);
+        return;
+    }
+    showError(field.key, '');
+    handlers.handleUpdateGenerationConfig({ [field.key]: result.value });
+}
+
+function togglePanel(force) {
+    const isHidden = elements.panel.classList.toggle('hidden', force === undefined ? undefined : !force);
+    elements.toggleBtn.classList.toggle('active', !isHidden);
+    if (!isHidden) render(appState);
+}
+
+export function init() {
+    elements = {
+        toggleBtn: $('#generation-params-btn'),
+        panel: $('#generation-params-panel'),
+        fields: $('#generation-params-fields'),
+        resetBtn: $('#generation-params-reset-btn'),
+        defaultsBtn: $('#generation-params-defaults-btn'),
+        saveTemplateBtn: $('#generation-params-save-template-btn'),
+    };
+    buildFields();
+    elements.toggleBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        togglePanel();
+    });
+    elements.resetBtn.addEventListener('click', () => handlers.handleResetGenerationConfig());
+    elements.defaultsBtn.addEventListener('click', () => handlers.handleSaveSamplingDefaults());
+    elements.saveTemplateBtn.addEventListener('click', () => handlers.handleSaveGenerationConfigToTemplate());
+    document.addEventListener('click', e => {
+        if (!elements.panel.classList.contains('hidden') && !elements.panel.contains(e.target)) togglePanel(false);
+    });
+}
+
+export function render(state) {
+    const { session, model } = getActiveContext(state);
+    const config = session?.generationConfig || {};
+    elements.toggleBtn.classList.toggle('has-overrides', GENERATION_FIELDS.some(field => config[field.key] !== undefined));
+    if (elements.panel.classList.contains('hidden') || !session) return;
+
+    const storedErrors = validateGenerationConfig(config, model);
+    fieldControls.forEach(({ field, input }, key) => {
+        const { min, max, unsupported } = getFieldLimits(field, model);
+        const value = config[key];
+        if (document.activeElement !== input) {
+            input.value = Array.isArray(value) ? value.join('\n') : (value ?? '');
+        }
+        if (field.type === 'integer' || field.type === 'number') {
+            if (min !== undefined) input.min = min; else input.removeAttribute('min');
+            if (max !== undefined) input.max = max; else input.removeAttribute('max');
+            input.placeholder = max !== undefined && field.key === 'maxOutputTokens' ? `기본값 (최대 ${max.toLocaleString()})` : '기본값';
+        }
+        input.disabled = !!unsupported && value === undefined;
+        input.title = unsupported || '';
+        showError(key, storedErrors[key] ? storedErrors[key].replace(`${field.label}: `, '') : '');
+    });
+    const template = state.promptTemplates?.find(t => t.id === session.systemPromptId);
+    elements.saveTemplateBtn.disabled = !template;
+    elements.saveTemplateBtn.title = template ? `'${template.title}' 템플릿의 기본 생성 설정으로 저장` : '이 세션에 선택된 프롬프트 템플릿이 없습니다.';
+}
@@ -0,0 +1,65 @@
+// [Component] Renders the import summary dialog, including a conflict summary when session IDs collide.
+import { createDOMElement } from './common.js';
+import * as Modal from './Modal.js';
+
+const CONFLICT_STRATEGIES = [
+    { value: 'rename', label: '새 ID로 가져오기 (둘 다 유지)' },
+    { value: 'skip', label: '건너뛰기 (기존 대화 유지)' },
+    { value: 'overwrite', label: '덮어쓰기 (기존 대화 교체)' },
+];
+
+function createConflictSection(conflicts) {
+    const list = createDOMElement('ul', { className: 'import-conflict-list' },
+        ...conflicts.map(({ imported, existing }) => createDOMElement('li', {},
+            createDOMElement('span', { className: 'import-conflict-title' }, imported.title),
+            createDOMElement('span', { className: 'import-conflict-existing' }, `기존: ${existing.title} · 메시지 ${existing.history.length}개`)
+        ))
+    );
+    const radios = CONFLICT_STRATEGIES.map(({ value, label }) => createDOMElement('label', {},
+        createDOMElement('input', { type: 'radio', name: 'import-conflict-strategy', value, checked: value === 'rename' }),
+        ` ${label}`
+    ));
+    return createDOMElement('div', { className: 'import-conflicts' },
+        createDOMElement('h3', {}, `ID 충돌 ${conflicts.length}건`),
+        createDOMElement('p', {}, '이미 같은 ID의 대화가 있습니다. 충돌한 대화를 어떻게 처리할지 선택하세요.'),
+        list,
+        createDOMElement('div', { className: 'radio-group' }, ...radios)
+    );
+}
+
+/**
+ * Opens the import dialog.
+ * @param {{ source: string, sessions: Array, conflicts: Array, defaultFolderName: string }} summary
+ * @param {(options: { folderName: string, conflictStrategy: string }) => void} onConfirm
+ */
+export function open({ source, sessions, conflicts, defaultFolderName }, onConfirm) {
+    const messageCount = sessions.reduce((sum, session) => sum + session.history.length, 0);
+    const folderInput = createDOMElement('input', { type: 'text', id: 'import-folder-name', value: defaultFolderName });
+    const confirmBtn = createDOMElement('button', { className: 'import-confirm-btn' }, '가져오기');
+    const cancelBtn = createDOMElement('button', { className: 'import-cancel-btn' }, '취소');
+
+    const content = createDOMElement('div', { className: 'import-dialog' },
+        createDOMElement('h2', {}, '대화 가져오기'),
+        createDOMElement('p', { className: 'import-summary' }, `형식: ${source} · 대화 ${sessions.length}개 · 메시지 ${messageCount}개`),
+        createDOMElement('div', { className: 'import-folder-field' },
+            createDOMElement('label', { for: 'import-folder-name' }, '가져올 폴더 이름'),
+            folderInput
+        ),
+        conflicts.length > 0 ? createConflictSection(conflicts) : '',
+        createDOMElement('div', { className: 'import-dialog-actions' }, cancelBtn, confirmBtn)
+    );
+
+    cancelBtn.addEventListener('click', () => Modal.closeModal());
+    confirmBtn.addEventListener('click', () => {
+        const checked = content.querySelector('input[name="import-conflict-strategy"]:checked');
+        const options = {
+            folderName: folderInput.value.trim() || defaultFolderName,
+            conflictStrategy: checked ? checked.value : 'rename',
+        };
+        onConfirm(options);
+        // Closed after onConfirm so the 'modal-closed' refresh already sees the imported sessions.
+        Modal.closeModal();
+    });
+
+    Modal.openModalWithContent(content);
+}
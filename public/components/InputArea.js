@@ -3,6 +3,14 @@ import { $ } from '../utils/dom.js';
 import { createDOMElement } from './common.js';
 import { appState } from '../app/state/AppState.js';
 import { handlers } from '../app/events/handlerOrchestrator.js';
+import { getContextUsage } from '../app/services/TokenCountService.js';
+import { getFileUrl, isMediaFile, PDF_MODES, MEDIA_MODES } from '../app/services/FileService.js';
+import { formatDuration } from '../utils/TimeFormatter.js';
+import { formatPageRanges } from '../app/modules/PageRanges.js';
+import { SAMPLING_FIELDS, getFieldLimits, resolveGenerationSettings } from '../app/modules/GenerationConfig.js';
+
+// [NEW] The meter turns amber from this share of the model's input limit.
+const CONTEXT_WARNING_RATIO = 0.8;
 
 let elements;
 export function init() {
@@ -14,27 +22,45 @@ export function init() {
         temperatureSlider: $('#temperature-slider'),
         temperatureValue: $('#temperature-value'),
         topPSlider: $('#top-p-slider'),
-        topPValue: $('#top-p-value')
+        topPValue: $('#top-p-value'),
+        contextMeter: $('#context-meter'),
+        contextMeterFill: $('#context-meter .context-meter-fill'),
+        contextMeterLabel: $('#context-meter .context-meter-label')
     };
     elements.messageInput.addEventListener('input', autoResizeTextarea);
+    // [NEW] The server's count of the history arrives asynchronously.
+    document.addEventListener('token-count-updated', e => {
+        if (e.detail.sessionId === appState.activeSessionId) renderContextMeter(appState);
+    });
     
-    // 온도 슬라이더 이벤트
+    // [MODIFIED] 온도/Top-P 슬라이더는 현재 세션의 생성 설정만 변경
     elements.temperatureSlider.addEventListener('input', (e) => {
         const value = parseFloat(e.target.value);
         elements.temperatureValue.textContent = value.toFixed(1);
-        appState.settings.temperature = value;
-        handlers.handleSaveSettings();
+        handlers.handleUpdateGenerationConfig({ temperature: value });
     });
     
-    // Top-P 슬라이더 이벤트
     elements.topPSlider.addEventListener('input', (e) => {
         const value = parseFloat(e.target.value);
         elements.topPValue.textContent = value.toFixed(1);
-        appState.settings.topP = value;
-        handlers.handleSaveSettings();
+        handlers.handleUpdateGenerationConfig({ topP: value });
     });
 }
 
+// [NEW] 온도와 Top-P 슬라이더는 현재 세션의 값을 표시 (온도 상한은 모델에 따라 다름)
+function renderSamplingSliders(state) {
+    const session = state.sessions[state.activeSessionId];
+    const { temperature, topP } = resolveGenerationSettings(session, state.settings);
+    const model = state.availableModels.find(m => m.id === session?.model);
+    const temperatureField = SAMPLING_FIELDS.find(field => field.key === 'temperature');
+    elements.temperatureSlider.max = getFieldLimits(temperatureField, model).max;
+    elements.temperatureSlider.value = temperature;
+    elements.temperatureValue.textContent = temperature.toFixed(1);
+    elements.topPSlider.value = topP;
+    elements.topPValue.textContent = topP.toFixed(1);
+    elements.temperatureSlider.disabled = elements.topPSlider.disabled = !session;
+}
+
 export function render(state) {
     const isActiveSessionLoading = !!state.loadingStates[state.activeSessionId];
     const { attachedFiles } = state;
@@ -55,18 +81,10 @@ export function render(state) {
         elements.sendBtn.disabled = !messageText && attachedFiles.length === 0;
     }
 
-    // 온도와 Top-P 슬라이더 값 업데이트
-    if (elements.temperatureSlider && elements.temperatureValue) {
-        elements.temperatureSlider.value = state.settings.temperature || 1.0;
-        elements.temperatureValue.textContent = (state.settings.temperature || 1.0).toFixed(1);
-    }
-    
-    if (elements.topPSlider && elements.topPValue) {
-        elements.topPSlider.value = state.settings.topP || 0.9;
-        elements.topPValue.textContent = (state.settings.topP || 0.9).toFixed(1);
-    }
+    renderSamplingSliders(state);
 
     renderFilePreviews(attachedFiles);
+    renderContextMeter(state);
 }
 
 export function getTextValue() {
@@ -79,6 +97,34 @@ export function clearInput() {
     autoResizeTextarea.call(elements.messageInput);
 }
 
+// [NEW] Per-attachment choice of how it is sent (PDF: extracted text or document; audio/video: media or transcript).
+function createModeSelect(modes, value, title, onChange) {
+    const select = createDOMElement('select', { className: 'attachment-mode-select', title });
+    Object.entries(modes).forEach(([mode, label]) => select.appendChild(new Option(label, mode)));
+    select.value = value;
+    select.onchange = () => onChange(select.value);
+    return select;
+}
+
+// [NEW] Page ranges ("1-3, 7") keep big PDFs from filling the context with pages that aren't needed.
+function createPageRangeInput(file, index) {
+    const isDocument = file.pdfMode === 'document';
+    const input = createDOMElement('input', {
+        type: 'text',
+        className: 'pdf-page-range-input',
+        placeholder: file.pageCount ? `전체 ${file.pageCount}쪽` : '전체 쪽',
+        title: isDocument ? '문서로 전송할 때는 모든 쪽이 전송됩니다.' : '보낼 쪽 범위 (예: 1-3, 7)',
+        disabled: isDocument,
+    });
+    input.value = isDocument ? '' : formatPageRanges(file.pageRanges);
+    input.onchange = () => handlers.handleSetPdfPageRanges(index, input.value);
+    return input;
+}
+
+function formatFileSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
 function renderFilePreviews(files) {
     elements.imagePreviewContainer.innerHTML = '';
     if (!files || files.length === 0) return;
@@ -89,13 +135,24 @@ function renderFilePreviews(files) {
 
         let previewContent;
         if (file.type.startsWith('image/')) {
-            previewContent = createDOMElement('img', { src: file.data, className: 'preview-image' });
+            previewContent = createDOMElement('img', { src: file.fileId ? getFileUrl(file.fileId) : file.data, className: 'preview-image' });
         } else {
             const fileIcon = createDOMElement('div', { className: 'file-icon' });
             fileIcon.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z"></path><polyline points="14 2 14 8 20 8"></polyline></svg>`;
             const fileName = createDOMElement('span', { className: 'file-name' }, file.name);
-            const fileSize = createDOMElement('span', { className: 'file-size' }, `(${(file.size / 1024).toFixed(1)} KB)`);
+            const fileSize = createDOMElement('span', { className: 'file-size' }, `(${formatFileSize(file.size)})`);
             previewContent = createDOMElement('div', { className: 'file-info-preview' }, fileIcon, fileName, fileSize);
+            if (file.type === 'application/pdf') {
+                previewContent.append(
+                    createModeSelect(PDF_MODES, file.pdfMode || 'text', 'PDF 전송 방식', mode => handlers.handleSetPdfMode(index, mode)),
+                    createPageRangeInput(file, index)
+                );
+            } else if (isMediaFile(file)) {
+                if (file.duration != null) previewContent.insertBefore(createDOMElement('span', { className: 'file-duration' }, formatDuration(file.duration)), fileSize);
+                previewContent.appendChild(
+                    createModeSelect(MEDIA_MODES, file.mediaMode || 'media', '오디오·비디오 전송 방식', mode => handlers.handleSetMediaMode(index, mode))
+                );
+            }
         }
 
         const previewItem = createDOMElement('div', { className: 'preview-item' },
@@ -106,6 +163,40 @@ function renderFilePreviews(files) {
     });
 }
 
+function formatTokenCount(count) {
+    if (count >= 1000000) return `${+(count / 1000000).toFixed(2)}M`;
+    if (count >= 1000) return `${+(count / 1000).toFixed(1)}K`;
+    return String(count);
+}
+
+// [NEW] "context used / model limit": the history as counted by the server plus a local estimate of the draft.
+function renderContextMeter(state) {
+    const usage = getContextUsage(state, elements.messageInput.value);
+    elements.contextMeter.classList.toggle('hidden', !usage);
+    if (!usage) return;
+    const { historyTokens, draftTokens, totalTokens, limit, historyTokenLimit, estimated, pending } = usage;
+    const ratio = limit ? totalTokens / limit : 0;
+    const prefix = estimated ? '~' : '';
+    elements.contextMeterLabel.textContent = limit
+        ? `${prefix}${formatTokenCount(totalTokens)} / ${formatTokenCount(limit)}`
+        : `${prefix}${formatTokenCount(totalTokens)}`;
+    elements.contextMeterFill.style.width = `${Math.min(ratio, 1) * 100}%`;
+    elements.contextMeter.classList.toggle('is-warning', ratio >= CONTEXT_WARNING_RATIO && ratio < 1);
+    elements.contextMeter.classList.toggle('is-over', ratio >= 1);
+    elements.contextMeter.classList.toggle('is-pending', pending);
+
+    const details = [
+        `대화 기록: ${historyTokens.toLocaleString()} 토큰${estimated ? ' (추정)' : ''}`,
+        `입력 중: 약 ${draftTokens.toLocaleString()} 토큰`,
+        limit ? `모델 입력 한도: ${limit.toLocaleString()} 토큰` : '모델 입력 한도: 알 수 없음',
+    ];
+    if (historyTokenLimit > 0 && historyTokens > historyTokenLimit) {
+        const outcome = state.settings.historyCompaction === 'summarize' ? '요약되어 전달됩니다' : '전송 시 제외됩니다';
+        details.push(`기록 토큰 제한(${historyTokenLimit.toLocaleString()})을 넘는 오래된 대화는 ${outcome}.`);
+    }
+    elements.contextMeter.title = details.join('\n');
+}
+
 function autoResizeTextarea() {
     this.style.height = 'auto';
     this.style.height = (this.scrollHeight) + 'px';
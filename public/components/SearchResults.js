@@ -0,0 +1,61 @@
+// [Component] Renders full-text search results (with highlighted snippets) in place of the session list.
+import { $ } from '../utils/dom.js';
+import { createDOMElement } from './common.js';
+import { formatRelativeTime } from '../utils/TimeFormatter.js';
+
+const FIELD_LABELS = { title: '제목', tag: '태그', attachment: '첨부 파일', message: '메시지' };
+const ROLE_LABELS = { user: '나', model: 'AI', system: '시스템' };
+
+let elements;
+export function init() {
+    elements = {
+        resultList: $('#search-results'),
+        sessionList: $('#session-list'),
+    };
+}
+
+// Builds the snippet as text nodes and <mark> elements, so message content is never parsed as HTML.
+function createSnippet({ text, ranges }) {
+    const snippet = createDOMElement('div', { className: 'search-result-snippet' });
+    let cursor = 0;
+    ranges.forEach(([start, end]) => {
+        if (start > cursor) snippet.appendChild(document.createTextNode(text.slice(cursor, start)));
+        snippet.appendChild(createDOMElement('mark', {}, text.slice(start, end)));
+        cursor = end;
+    });
+    if (cursor < text.length) snippet.appendChild(document.createTextNode(text.slice(cursor)));
+    return snippet;
+}
+
+function createResultElement(result, state) {
+    const session = state.sessions[result.sessionId];
+    const label = result.role ? `${FIELD_LABELS[result.field]} · ${ROLE_LABELS[result.role] || result.role}` : FIELD_LABELS[result.field];
+    const header = createDOMElement('div', { className: 'search-result-header' },
+        createDOMElement('span', { className: 'search-result-title' }, session?.title || ''),
+        createDOMElement('span', { className: 'search-result-time' }, formatRelativeTime(session?.lastModified))
+    );
+    const attrs = { className: 'search-result-item', 'data-session-id': result.sessionId };
+    if (result.messageId) attrs['data-message-id'] = result.messageId;
+    return createDOMElement('li', attrs,
+        header,
+        createDOMElement('span', { className: 'search-result-field' }, label),
+        createSnippet(result.snippet)
+    );
+}
+
+export function render(results, state) {
+    elements.sessionList.classList.add('hidden');
+    elements.resultList.classList.remove('hidden');
+    elements.resultList.innerHTML = '';
+    if (results.length === 0) {
+        elements.resultList.innerHTML = '<li class="no-sessions">검색 결과가 없습니다.</li>';
+        return;
+    }
+    results.forEach(result => elements.resultList.appendChild(createResultElement(result, state)));
+}
+
+export function hide() {
+    elements.resultList.classList.add('hidden');
+    elements.resultList.innerHTML = '';
+    elements.sessionList.classList.remove('hidden');
+}
@@ -10,7 +10,7 @@ export function init() {
 }
 
 export function show(message, type = 'info', duration = 3000) {
-    if (!elements.container) return;
+    if (!elements?.container) return; // Not initialised yet (e.g. a sync failure during startup).
 
     const className = `toast-message ${type === 'warning' ? 'toast-warning' : ''}`;
     const toastElement = createDOMElement('div', { className }, message);
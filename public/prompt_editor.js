@@ -193,6 +193,8 @@ function handleApplyTemplate(templateId) {
         
         // 직접 시스템 프롬프트 업데이트
         activeSession.systemPromptId = templateId === 'none' ? null : templateId;
+        // 템플릿에 저장된 생성 설정 프리셋 적용
+        Session.applyTemplateGenerationPreset(appState, activeSession);
         activeSession.lastModified = Date.now();
         
         // 상태 저장
@@ -26,4 +26,13 @@ export function formatRelativeTime(timestamp) {
     }
     // Default format for older dates
     return then.toLocaleDateString('ko-KR', { month: 'long', day: 'numeric' });
-}
\ No newline at end of file
+}
+// [NEW] Media length as "m:ss" or "h:mm:ss".
+export function formatDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '';
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
@@ -1,9 +1,179 @@
-// [CoreDNA] This module is solely responsible for localStorage interactions.
-const STORAGE_KEY = 'geminiChatApp';
+// [CoreDNA] This module is solely responsible for persisting application state.
+// [MODIFIED] Backed by IndexedDB: app-level data lives in one 'meta' record, every session is its
+// own record, and attachment payloads (base64 images/PDFs) are stored apart from message text.
+// Falls back to the legacy single localStorage key when IndexedDB is unavailable.
+import * as Toast from '../components/Toast.js';
 
-export function loadData() {
+const LEGACY_STORAGE_KEY = 'geminiChatApp';
+const DB_NAME = 'geminiChatApp';
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+const SESSION_STORE = 'sessions';
+const BLOB_STORE = 'blobs';
+const META_STATE_KEY = 'appState';
+const SAVE_DEBOUNCE_MS = 250;
+
+let db = null;
+let useLegacyStorage = false;
+let pendingState = null;
+let saveTimer = null;
+let writeChain = Promise.resolve();
+let isSaveFailing = false; // The user is told once per run of failed writes.
+const writtenSessions = new Map(); // sessionId -> { json, blobIds }
+const writtenBlobIds = new Set(); // every key in the blob store, referenced or not
+
+// --- IndexedDB Helpers ---
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            if (!database.objectStoreNames.contains(META_STORE)) database.createObjectStore(META_STORE);
+            if (!database.objectStoreNames.contains(SESSION_STORE)) database.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+            if (!database.objectStoreNames.contains(BLOB_STORE)) database.createObjectStore(BLOB_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open request was blocked'));
+    });
+}
+
+// --- Blob Separation ---
+function isBlobPart(part) {
+    return part && typeof part.data === 'string' && part.data.startsWith('data:');
+}
+
+function forEachMessage(session, callback) {
+    (session.history || []).forEach(callback);
+    Object.values(session.branchPoints || {}).forEach(point => {
+        (point.variants || []).forEach(variant => { if (Array.isArray(variant)) variant.forEach(callback); });
+    });
+}
+
+// Returns a copy of the session whose attachment parts reference blob ids instead of carrying data.
+function dehydrateSession(session, blobsOut) {
+    const stripParts = (message) => {
+        if (!message || !Array.isArray(message.parts)) return message;
+        return {
+            ...message,
+            parts: message.parts.map(part => {
+                if (!isBlobPart(part)) return part;
+                if (!part.blobId) part.blobId = `blob-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+                blobsOut.set(part.blobId, part.data);
+                const { data, ...rest } = part;
+                return rest;
+            })
+        };
+    };
+    const branchPoints = {};
+    Object.entries(session.branchPoints || {}).forEach(([key, point]) => {
+        branchPoints[key] = { ...point, variants: (point.variants || []).map(v => Array.isArray(v) ? v.map(stripParts) : v) };
+    });
+    return { ...session, history: (session.history || []).map(stripParts), branchPoints };
+}
+
+function rehydrateSession(record, blobs) {
+    forEachMessage(record, message => {
+        (message?.parts || []).forEach(part => {
+            if (part.blobId && !part.data && blobs.has(part.blobId)) part.data = blobs.get(part.blobId);
+        });
+    });
+    return record;
+}
+
+function extractMeta(state) {
+    // Transient, in-memory states are never persisted.
+    const { loadingStates, attachedFiles, sessions, ...meta } = state;
+    return meta;
+}
+
+// --- Writes ---
+async function writeState(state) {
+    const sessions = state.sessions || {};
+    const transaction = db.transaction([META_STORE, SESSION_STORE, BLOB_STORE], 'readwrite');
+    const metaStore = transaction.objectStore(META_STORE);
+    const sessionStore = transaction.objectStore(SESSION_STORE);
+    const blobStore = transaction.objectStore(BLOB_STORE);
+
+    metaStore.put(extractMeta(state), META_STATE_KEY);
+
+    const nextWritten = new Map();
+    Object.values(sessions).forEach(session => {
+        const blobs = new Map();
+        const record = dehydrateSession(session, blobs);
+        const json = JSON.stringify(record);
+        blobs.forEach((data, blobId) => {
+            if (!writtenBlobIds.has(blobId)) blobStore.put(data, blobId);
+        });
+        if (writtenSessions.get(session.id)?.json !== json) sessionStore.put(record);
+        nextWritten.set(session.id, { json, blobIds: [...blobs.keys()] });
+    });
+
+    // Drop records for sessions that no longer exist, and every stored blob that no message references
+    // any more (deleted sessions, removed messages and branches, attachments moved to the file store).
+    const referencedBlobIds = new Set([...nextWritten.values()].flatMap(entry => entry.blobIds));
+    writtenSessions.forEach((entry, sessionId) => {
+        if (!nextWritten.has(sessionId)) sessionStore.delete(sessionId);
+    });
+    writtenBlobIds.forEach(blobId => { if (!referencedBlobIds.has(blobId)) blobStore.delete(blobId); });
+
+    await transactionToPromise(transaction);
+    writtenSessions.clear();
+    nextWritten.forEach((entry, sessionId) => writtenSessions.set(sessionId, entry));
+    writtenBlobIds.clear();
+    referencedBlobIds.forEach(blobId => writtenBlobIds.add(blobId));
+}
+
+// A failed write loses every change since the last good one on the next reload, so it must not stay in the console.
+function reportSaveResult(error) {
+    if (!error) {
+        if (isSaveFailing) console.log('[Storage] Saving works again.');
+        isSaveFailing = false;
+        return;
+    }
+    if (isSaveFailing) return;
+    isSaveFailing = true;
+    const reason = error.name === 'QuotaExceededError' ? '브라우저 저장 공간이 부족합니다' : error.message;
+    Toast.show(`변경 사항을 브라우저에 저장하지 못했습니다 (${reason}). 다음 저장 때 다시 시도합니다.`, 'warning', 8000);
+}
+
+function flushPendingState() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const state = pendingState;
+    pendingState = null;
+    if (!state) return writeChain;
+    writeChain = writeChain
+        .then(() => writeState(state))
+        .then(() => reportSaveResult(null))
+        .catch(error => {
+            console.error('Failed to save data to IndexedDB:', error);
+            // writtenSessions still describes the last good write, so the retry writes everything that failed.
+            if (!pendingState) pendingState = state;
+            reportSaveResult(error || new Error('IndexedDB write failed'));
+        });
+    return writeChain;
+}
+
+// --- Legacy localStorage ---
+function loadLegacyData() {
     try {
-        const storedData = localStorage.getItem(STORAGE_KEY);
+        const storedData = localStorage.getItem(LEGACY_STORAGE_KEY);
         return storedData ? JSON.parse(storedData) : {};
     } catch (error) {
         console.error('Failed to load data from localStorage:', error);
@@ -11,13 +181,86 @@ export function loadData() {
     }
 }
 
-export function saveData(state) {
+function saveLegacyData(state) {
     try {
-        // [THE FIX] Create a new object excluding transient (in-memory) states.
-        // This prevents states like 'loadingStates' from being incorrectly persisted.
         const { loadingStates, ...stateToSave } = state;
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(stateToSave));
+        localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(stateToSave));
+        reportSaveResult(null);
     } catch (error) {
         console.error('Failed to save data to localStorage:', error);
+        reportSaveResult(error);
     }
-}
\ No newline at end of file
+}
+
+// One-time move of the old single-key localStorage blob into IndexedDB.
+async function migrateLegacyData() {
+    const hasMeta = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).getKey(META_STATE_KEY));
+    if (hasMeta !== undefined) return;
+    if (localStorage.getItem(LEGACY_STORAGE_KEY) === null) return;
+    console.log('[Storage] Migrating legacy localStorage data to IndexedDB...');
+    await writeState({ sessions: {}, ...loadLegacyData() });
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    console.log('[Storage] Migration complete. Legacy localStorage key removed.');
+}
+
+// --- Public API ---
+export async function initStorage() {
+    if (db || useLegacyStorage) return;
+    try {
+        if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not supported');
+        db = await openDatabase();
+        await migrateLegacyData();
+        window.addEventListener('pagehide', () => flushPendingState());
+        document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') flushPendingState(); });
+    } catch (error) {
+        console.error('[Storage] IndexedDB unavailable, falling back to localStorage:', error);
+        db = null;
+        useLegacyStorage = true;
+    }
+}
+
+export async function loadData() {
+    await initStorage();
+    if (useLegacyStorage) return loadLegacyData();
+    try {
+        const transaction = db.transaction([META_STORE, SESSION_STORE, BLOB_STORE], 'readonly');
+        const [meta, records, blobKeys, blobValues] = await Promise.all([
+            requestToPromise(transaction.objectStore(META_STORE).get(META_STATE_KEY)),
+            requestToPromise(transaction.objectStore(SESSION_STORE).getAll()),
+            requestToPromise(transaction.objectStore(BLOB_STORE).getAllKeys()),
+            requestToPromise(transaction.objectStore(BLOB_STORE).getAll()),
+        ]);
+        const blobs = new Map(blobKeys.map((key, i) => [key, blobValues[i]]));
+        const sessions = {};
+        writtenSessions.clear();
+        writtenBlobIds.clear();
+        blobKeys.forEach(blobId => writtenBlobIds.add(blobId));
+        records.forEach(record => {
+            const blobIds = [];
+            forEachMessage(record, message => (message?.parts || []).forEach(part => { if (part.blobId) blobIds.push(part.blobId); }));
+            writtenSessions.set(record.id, { json: JSON.stringify(record), blobIds });
+            sessions[record.id] = rehydrateSession(record, blobs);
+        });
+        if (!meta && records.length === 0) return {};
+        return { ...(meta || {}), sessions };
+    } catch (error) {
+        console.error('Failed to load data from IndexedDB:', error);
+        return {};
+    }
+}
+
+// Callers stay synchronous: writes are coalesced and committed shortly afterwards.
+export function saveData(state) {
+    if (useLegacyStorage || !db) {
+        saveLegacyData(state);
+        return;
+    }
+    pendingState = state;
+    if (!saveTimer) saveTimer = setTimeout(flushPendingState, SAVE_DEBOUNCE_MS);
+}
+
+// Resolves once every queued write has been committed.
+export function flushData() {
+    if (useLegacyStorage || !db) return Promise.resolve();
+    return flushPendingState();
+}
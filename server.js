@@ -3,16 +3,52 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const pdf = require('pdf-parse');
 const { exec } = require('child_process');
+const readline = require('readline');
+const sessionStore = require('./server/sessionStore');
+const keyVault = require('./server/keyVault');
+const { withRetry, resolveMaxAttempts } = require('./server/retryPolicy');
+const tokenCounter = require('./server/tokenCounter');
+const contextCompactor = require('./server/contextCompactor');
+const { buildGenerationConfig } = require('./server/generationConfig');
+const fileStore = require('./server/fileStore');
+const { detectDocumentKind, kindForPartType, extractDocument } = require('./server/documentExtractor');
+const { getTranscript, getStoredTranscript } = require('./server/transcriber');
+const { extractPdfText, extractPdfPages, normalizePageRanges, selectPages, formatPageRanges } = require('./server/pdfExtractor');
 
 const app = express();
 const port = 3333;
+// [NEW] Loopback only unless HOST says otherwise: the API manages keys and conversations without a login.
+const host = process.env.HOST || '127.0.0.1';
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+const isLoopbackBinding = ['localhost', '127.0.0.1', '::1'].includes(host);
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const MISSING_API_KEY_MESSAGE = 'API 키가 없습니다. 설정에서 API 키를 등록하거나 .env 파일에 GEMINI_API_KEY를 설정하세요.';
 
-app.use(cors());
-app.use(express.json({ limit: '100mb' }));
+// [MODIFIED] Only the app's own pages may use the API. Browsers send no Origin for same-origin GETs, and
+// their own origin otherwise; anything else is refused, including simple requests that skip the CORS preflight.
+// On a loopback binding the Host header must be a loopback name too, which stops DNS rebinding.
+function isSameOrigin(req) {
+    const origin = req.get('origin');
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === req.get('host');
+    } catch (error) {
+        return false;
+    }
+}
+
+app.use((req, res, next) => {
+    const hostname = (req.get('host') || '').replace(/:\d+$/, '');
+    if ((isLoopbackBinding && !LOOPBACK_HOSTNAMES.includes(hostname)) || !isSameOrigin(req)) {
+        return res.status(403).json({ message: '허용되지 않은 출처의 요청입니다.' });
+    }
+    next();
+});
+app.use(cors((req, callback) => callback(null, { origin: isSameOrigin(req) })));
+// [MODIFIED] Attachments go through /api/files, so JSON bodies only carry text and file references.
+app.use(express.json({ limit: '10mb' }));
 
 // [MODIFIED FOR PKG] Use path.join to create an absolute path to the 'public' directory.
 app.use(express.static(path.join(__dirname, 'public')));
@@ -23,41 +59,77 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// [MODIFIED] Clients name a vault key by id (primary/fallback rotation in ApiSettings);
+// the .env key is only the default. Plaintext keys are never accepted from or sent to the browser.
+function resolveApiKey(req) {
+    const { keyId } = req.body || {};
+    return keyId ? keyVault.getKey(keyId) : GEMINI_API_KEY;
+}
+
+// [NEW] Resolves the key into req.apiKey, or answers with the vault/missing-key error.
+function requireApiKey(req, res, next) {
+    try {
+        req.apiKey = resolveApiKey(req);
+    } catch (error) {
+        return sendKeyVaultError(res, error);
+    }
+    if (!req.apiKey) return res.status(400).json({ message: MISSING_API_KEY_MESSAGE });
+    next();
+}
+
+// [NEW] Keeps upstream 4xx/5xx statuses (e.g. 429 quota, 403 invalid key) so the client can rotate keys.
+function upstreamStatus(error, fallback = 500) {
+    return (Number.isInteger(error.status) && error.status >= 400 && error.status < 600) ? error.status : fallback;
+}
+
 async function fetchAvailableModels(apiKey) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`;
+    const url = `https://generativelanguage.googleapis.com/v1beta/models?key=${encodeURIComponent(apiKey)}`;
     try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error.message || `API 요청 실패: ${response.status}`);
-        }
+        const response = await withRetry(async () => {
+            const attemptResponse = await fetch(url);
+            if (!attemptResponse.ok) {
+                const errorData = await attemptResponse.json().catch(() => ({}));
+                const error = new Error(errorData.error?.message || `API 요청 실패: ${attemptResponse.status}`);
+                error.status = attemptResponse.status;
+                error.errorDetails = errorData.error?.details;
+                error.retryAfter = attemptResponse.headers.get('retry-after');
+                throw error;
+            }
+            return attemptResponse;
+        });
         const data = await response.json();
         return data.models
             .filter(model => model.supportedGenerationMethods.includes('generateContent'))
-            .map(model => ({ id: model.name.replace('models/', ''), name: model.displayName }));
+            .map(model => ({
+                id: model.name.replace('models/', ''),
+                name: model.displayName,
+                inputTokenLimit: model.inputTokenLimit,
+                outputTokenLimit: model.outputTokenLimit,
+                // [NEW] Used to validate generation settings per model (absent topK = top-K not supported).
+                topK: model.topK,
+                maxTemperature: model.maxTemperature,
+            }));
     } catch (error) {
         console.error('모델 목록 조회 중 오류:', error.message);
         throw error;
     }
 }
 
-app.post('/api/validate', async (req, res) => {
-    if (!GEMINI_API_KEY) return res.status(400).json({ valid: false, message: '서버에 API 키가 설정되지 않았습니다. .env 파일을 확인하세요.' });
+app.post('/api/validate', requireApiKey, async (req, res) => {
     try {
-        await fetchAvailableModels(GEMINI_API_KEY);
-        res.json({ valid: true, message: '서버의 API 키가 유효합니다.' });
+        await fetchAvailableModels(req.apiKey);
+        res.json({ valid: true, message: 'API 키가 유효합니다.' });
     } catch (error) {
-        res.status(400).json({ valid: false, message: `API 키 검증 실패: ${error.message}` });
+        res.status(upstreamStatus(error, 400)).json({ valid: false, message: `API 키 검증 실패: ${error.message}` });
     }
 });
 
-app.post('/api/models', async (req, res) => {
-    if (!GEMINI_API_KEY) return res.status(400).json({ message: '서버에 API 키가 설정되지 않았습니다. .env 파일을 확인하세요.' });
+app.post('/api/models', requireApiKey, async (req, res) => {
     try {
-        const models = await fetchAvailableModels(GEMINI_API_KEY);
+        const models = await fetchAvailableModels(req.apiKey);
         res.json({ models });
     } catch (error) {
-        res.status(500).json({ message: `모델 목록 조회 실패: ${error.message}` });
+        res.status(upstreamStatus(error)).json({ message: `모델 목록 조회 실패: ${error.message}` });
     }
 });
 
@@ -68,49 +140,81 @@ app.post('/api/extract-text', async (req, res) => {
     }
     try {
         const buffer = Buffer.from(fileData.split(',')[1], 'base64');
-        const data = await pdf(buffer);
-        res.json({ text: data.text });
+        const { text } = await extractPdfText(buffer);
+        res.json({ text });
     } catch (error) {
         console.error('PDF 텍스트 추출 중 오류:', error);
         res.status(500).json({ message: `PDF 처리 중 오류가 발생했습니다: ${error.message}` });
     }
 });
 
-function trimHistoryByTokenLimit(history, limit) {
-    if (!limit || limit <= 0) return history;
-    let totalTokens = 0;
-    const trimmedHistory = [];
-    for (let i = history.length - 1; i >= 0; i--) {
-        const message = history[i];
-        const messageTokens = message.parts.reduce((acc, part) => {
-            if (part.type === 'text') return acc + Math.ceil((part.text || '').length / 4);
-            if (part.type === 'image') return acc + Math.ceil((part.data || '').length * 0.75 / 1000) * 250;
-            return acc;
-        }, 0);
-        if (totalTokens + messageTokens <= limit) {
-            trimmedHistory.unshift(message);
-            totalTokens += messageTokens;
-        } else {
-            break;
+// [NEW] Extracted text goes in page by page, limited to the attachment's page ranges when it has any.
+async function formatPdfText(part, buffer) {
+    const { pageCount, pages } = await extractPdfPages(buffer, part.fileId);
+    const ranges = normalizePageRanges(part.pageRanges, pageCount);
+    const scope = ranges.length > 0 ? `${formatPageRanges(ranges)}쪽 / 전체 ${pageCount}쪽` : `전체 ${pageCount}쪽`;
+    const body = selectPages(pages, ranges).map(({ number, text }) => `--- PAGE ${number} ---\n${text}`).join('\n\n');
+    return `--- START OF DOCUMENT: ${part.name} (${scope}) ---\n\n${body}\n\n--- END OF DOCUMENT ---`;
+}
+
+// [NEW] Audio and video go to the model as files, or as their transcript in "transcribe first" mode.
+// Without `transcription` ({ genAI, modelName, retryOptions }; token counting) no new transcript is made
+// and a recording that has none yet is counted as media.
+async function resolveMediaPart(part, apiKey, transcription) {
+    try {
+        if (part.mode === 'transcript') {
+            const transcript = transcription
+                ? await getTranscript(part.fileId, { ...transcription, apiKey })
+                : await getStoredTranscript(part.fileId);
+            if (transcript !== null) {
+                return { type: 'text', text: `--- START OF TRANSCRIPT: ${part.name} ---\n\n${transcript}\n\n--- END OF TRANSCRIPT ---` };
+            }
         }
+        return { ...(await fileStore.resolveFilePart(apiKey, part.fileId)), duration: part.duration };
+    } catch (error) {
+        if (error.status !== 404) throw error;
+        return { type: 'text', text: `[첨부 파일을 찾을 수 없음: ${part.name || part.fileId}]` };
     }
-    console.log(`[History Trimmer] Original: ${history.length} messages. Trimmed: ${trimmedHistory.length} messages. (~${totalTokens} tokens)`);
-    return trimmedHistory;
 }
 
-async function processAttachmentsForAI(history) {
+// [MODIFIED] Stored attachments ({ fileId }) are resolved through the file store; `apiKey` selects the
+// File API upload to reference. Inline `data` parts from before the file store are still accepted.
+async function processAttachmentsForAI(history, apiKey, transcription) {
     return Promise.all(history.map(async (message) => {
         if (message.role !== 'user') return message;
         const newParts = await Promise.all(message.parts.map(async (part) => {
-            if (part.type === 'code-summary' && part.summary) {
+            if (part.type === 'image' && part.fileId) {
+                try {
+                    return await fileStore.resolveFilePart(apiKey, part.fileId);
+                } catch (error) {
+                    if (error.status !== 404) throw error;
+                    return { type: 'text', text: `[첨부 이미지를 찾을 수 없음: ${part.name || part.fileId}]` };
+                }
+            } else if ((part.type === 'audio' || part.type === 'video') && part.fileId) {
+                return resolveMediaPart(part, apiKey, transcription);
+            } else if (part.type === 'code-summary' && part.summary) {
                 const { filename, fullCode } = part.summary;
                 return { type: 'text', text: `--- START OF FILE: ${filename} ---\n\n${fullCode}\n\n--- END OF FILE: ${filename} ---\n\n` };
+            } else if (kindForPartType(part.type)) {
+                // [NEW] Office and HTML documents are converted to text (Markdown tables for spreadsheets).
+                try {
+                    const buffer = await fileStore.readFileData(part.fileId);
+                    const { text } = await extractDocument(buffer, { kind: kindForPartType(part.type), name: part.name, hash: part.fileId });
+                    return { type: 'text', text: `--- START OF FILE: ${part.name} ---\n\n${text}\n\n--- END OF FILE: ${part.name} ---\n\n` };
+                } catch (error) {
+                    console.error('Server-side document processing error:', error.message);
+                    return { type: 'text', text: `[문서 처리 실패: ${part.name} - ${error.message}]` };
+                }
             } else if (part.type === 'pdf-attachment') {
                 try {
-                    console.log(`[Attachment Processor] Processing PDF: ${part.name}`);
-                    const buffer = Buffer.from(part.data.split(',')[1], 'base64');
-                    const data = await pdf(buffer);
-                    return { type: 'text', text: `--- START OF DOCUMENT: ${part.name} ---\n\n${data.text}\n\n--- END OF DOCUMENT ---` };
+                    console.log(`[Attachment Processor] Processing PDF (${part.mode || 'text'}): ${part.name}`);
+                    // [NEW] "document" mode sends the PDF itself, so the model also sees layout, tables, charts and scans.
+                    if (part.mode === 'document') {
+                        if (part.fileId) return await fileStore.resolveFilePart(apiKey, part.fileId);
+                        return { type: 'document', mimeType: 'application/pdf', data: part.data, pageCount: part.pageCount };
+                    }
+                    const buffer = part.fileId ? await fileStore.readFileData(part.fileId) : Buffer.from(part.data.split(',')[1], 'base64');
+                    return { type: 'text', text: await formatPdfText(part, buffer) };
                 } catch (error) {
                     console.error('Server-side PDF processing error:', error);
                     return { type: 'text', text: `[PDF 처리 실패: ${error.message}]` };
@@ -133,72 +237,579 @@ function formatHistoryForGoogleAI(history) {
         parts: msg.parts
             .map(part => {
                 if (part.type === 'text') return { text: part.text };
-                if (part.type === 'image') {
+                if (part.type === 'image' || part.type === 'media' || part.type === 'document') {
                     const dataParts = (part.data || '').split(',');
                     return { inlineData: { mimeType: part.mimeType, data: dataParts[1] || '' } };
                 }
+                if (part.type === 'file') return { fileData: { mimeType: part.mimeType, fileUri: part.fileUri } };
                 return null;
             })
             .filter(Boolean)
     })).filter(msg => msg.parts.length > 0);
 }
 
-app.post('/api/chat', async (req, res) => {
-    const { model: modelName, history, historyTokenLimit, systemPrompt, temperature, topP } = req.body;
-    console.log(`[API] Chat request - Model: ${modelName}, Temperature: ${temperature}, Top-P: ${topP}`);
-    if (!GEMINI_API_KEY) {
-        return res.status(400).json({ message: '서버에 API 키가 설정되지 않았습니다. .env 파일을 확인하세요.' });
+// [NEW] Models without system instruction support (e.g. Gemma) get the system prompt inlined into the
+// first user turn instead. Models found to reject it at runtime are remembered until restart.
+const SYSTEM_INSTRUCTION_UNSUPPORTED_PATTERNS = [/^gemma-/i];
+const modelsWithoutSystemInstruction = new Set();
+
+function supportsSystemInstruction(modelName) {
+    return !modelsWithoutSystemInstruction.has(modelName)
+        && !SYSTEM_INSTRUCTION_UNSUPPORTED_PATTERNS.some(pattern => pattern.test(modelName));
+}
+
+function isSystemInstructionRejected(error) {
+    return error.status === 400 && /system.?instruction|developer instruction/i.test(error.message || '');
+}
+
+// Inlined after trimming, so the instructions can't be dropped, and without a canned model reply.
+function inlineSystemInstruction(history, systemPrompt) {
+    const index = history.findIndex(message => message.role === 'user');
+    if (index === -1) return [...history];
+    const message = history[index];
+    const instructionPart = { type: 'text', text: `[System instructions]\n${systemPrompt}\n[/System instructions]` };
+    return [...history.slice(0, index), { ...message, parts: [instructionPart, ...message.parts] }, ...history.slice(index + 1)];
+}
+
+// [NEW] Variations: models that reject candidateCount > 1 get parallel single-candidate requests instead.
+// Models found to reject it at runtime are remembered until restart.
+const modelsWithoutCandidateCount = new Set();
+
+function isCandidateCountRejected(error) {
+    return error.status === 400 && /candidate/i.test(error.message || '');
+}
+
+function extractCandidates(response) {
+    // A blocked prompt has no candidates at all; text() throws with the block reason.
+    if (!response.candidates?.length) return [{ text: response.text() }];
+    return response.candidates.map(candidate => ({
+        text: (candidate.content?.parts || []).map(part => part.text || '').join(''),
+        finishReason: candidate.finishReason,
+    }));
+}
+
+function sumUsage(usages) {
+    return usages.filter(Boolean).reduce((total, usage) => {
+        for (const [key, value] of Object.entries(usage)) {
+            if (typeof value === 'number') total[key] = (total[key] || 0) + value;
+        }
+        return total;
+    }, {});
+}
+
+// [NEW] Writes a single Server-Sent Event frame to the response.
+function sendSseEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// [NEW] Fits the history into historyTokenLimit. In compaction mode ({ model, summary }) the dropped turns
+// are summarised by compaction.model; if that fails, the request falls back to plain truncation.
+async function fitHistoryToLimit(genAI, modelName, history, limit, compaction, retryOptions) {
+    const count = (candidate) => tokenCounter.countTokens(genAI, modelName, formatHistoryForGoogleAI(candidate));
+    if (!compaction?.model) {
+        return { history: await tokenCounter.trimHistoryByTokenLimit(history, limit, count), contextSummary: null };
+    }
+    const summaryModel = genAI.getGenerativeModel({ model: compaction.model });
+    try {
+        const result = await contextCompactor.compactHistory(history, limit, {
+            contextSummary: compaction.summary,
+            count,
+            summarize: (previousSummary, turns) => withRetry(
+                () => contextCompactor.summarizeTurns(summaryModel, previousSummary, turns, { signal: retryOptions.signal }),
+                retryOptions,
+            ),
+        });
+        if (!result.updated) return { history: result.history, contextSummary: null };
+        return {
+            history: result.history,
+            contextSummary: { ...result.contextSummary, model: compaction.model, usage: result.usage, updatedAt: Date.now() },
+        };
+    } catch (error) {
+        if (retryOptions.signal?.aborted) throw error;
+        console.warn(`[Compactor] Summarising with ${compaction.model} failed (${error.message}). Truncating instead.`);
+        return { history: await tokenCounter.trimHistoryByTokenLimit(history, limit, count), contextSummary: null };
     }
+}
+
+app.post('/api/chat', requireApiKey, async (req, res) => {
+    const { model: modelName, history, historyTokenLimit, systemPrompt, temperature, topP, stream, compaction } = req.body;
+    const maxAttempts = resolveMaxAttempts(req.body.maxAttempts);
+    console.log(`[API] Chat request - Model: ${modelName}, Temperature: ${temperature}, Top-P: ${topP}, Stream: ${!!stream}, Max attempts: ${maxAttempts}`);
     if (!modelName || !Array.isArray(history)) {
         return res.status(400).json({ message: '모델과 올바른 형식의 대화 내용이 모두 필요합니다.' });
     }
+    // [MODIFIED] Temperature/top-P plus the session's extra parameters (max tokens, top-K, stop sequences, seed, ...).
+    let generationConfig;
     try {
-        const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-        
-        // 생성 설정 구성
-        const generationConfig = {};
-        if (temperature !== undefined && temperature >= 0 && temperature <= 2) {
-            generationConfig.temperature = temperature;
-        }
-        if (topP !== undefined && topP >= 0.1 && topP <= 1.0) {
-            generationConfig.topP = topP;
+        generationConfig = buildGenerationConfig({ temperature, topP, ...(req.body.generationConfig || {}) });
+    } catch (error) {
+        return res.status(error.status || 400).json({ message: error.message });
+    }
+    // [NEW] Cancel the upstream generation when the browser goes away (e.g. the Stop button).
+    // On current Node versions `req` emits 'close' as soon as the body has been read, so the
+    // response's 'close' event (fired before `end()` only on disconnect) is the reliable signal.
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log(`[API] Client disconnected. Aborting generation for model ${modelName}.`);
+            abortController.abort();
         }
+    });
+    const requestOptions = { signal: abortController.signal };
+    try {
+        const genAI = new GoogleGenerativeAI(req.apiKey);
         
         console.log(`[API] Generation config:`, generationConfig);
         
-        const model = genAI.getGenerativeModel({ 
-            model: modelName,
-            generationConfig: Object.keys(generationConfig).length > 0 ? generationConfig : undefined
-        });
-        let conversationHistory = [...history];
-        if (systemPrompt && systemPrompt.trim() !== '') {
-            conversationHistory.unshift(
-                { role: 'user', parts: [{ type: 'text', text: systemPrompt }] },
-                { role: 'model', parts: [{ type: 'text', text: '알겠습니다. 이제부터 당신의 지시에 따라 응답하겠습니다.' }] }
-            );
-        }
-        const processedHistory = await processAttachmentsForAI(conversationHistory);
-        const effectiveHistory = trimHistoryByTokenLimit(processedHistory, historyTokenLimit);
-        const lastMessage = effectiveHistory.pop();
-        const chatHistoryForAI = formatHistoryForGoogleAI(effectiveHistory);
-        const userMessageParts = lastMessage ? formatHistoryForGoogleAI([lastMessage])[0].parts : [];
+        // [MODIFIED] The system prompt (template + formatting rules) goes through the SDK's
+        // systemInstruction, so it is neither a history turn nor subject to token trimming.
+        const hasSystemPrompt = typeof systemPrompt === 'string' && systemPrompt.trim() !== '';
+        const processedHistory = await processAttachmentsForAI(history, req.apiKey,
+            { genAI, modelName, retryOptions: { maxAttempts, signal: abortController.signal } });
+        // [MODIFIED] Trimming is driven by countTokens, with the local estimator as fallback.
+        const { history: trimmedHistory, contextSummary } = await fitHistoryToLimit(genAI, modelName, processedHistory,
+            historyTokenLimit, compaction, { maxAttempts: Math.min(maxAttempts, 2), signal: abortController.signal });
+        const buildChat = (inlineInstruction, config = generationConfig) => {
+            const model = genAI.getGenerativeModel({ 
+                model: modelName,
+                generationConfig: Object.keys(config).length > 0 ? config : undefined,
+                systemInstruction: hasSystemPrompt && !inlineInstruction ? systemPrompt : undefined
+            });
+            const effectiveHistory = hasSystemPrompt && inlineInstruction
+                ? inlineSystemInstruction(trimmedHistory, systemPrompt)
+                : [...trimmedHistory];
+            const lastMessage = effectiveHistory.pop();
+            return {
+                chat: model.startChat({ history: formatHistoryForGoogleAI(effectiveHistory) }),
+                userMessageParts: lastMessage ? formatHistoryForGoogleAI([lastMessage])[0]?.parts : [],
+            };
+        };
+        let { chat, userMessageParts } = buildChat(!supportsSystemInstruction(modelName));
         if (!userMessageParts || userMessageParts.length === 0) {
             return res.status(400).json({ message: "Cannot send an empty message." });
         }
-        const chat = model.startChat({ history: chatHistoryForAI });
-        const result = await chat.sendMessage(userMessageParts);
-        const response = result.response;
-        const text = response.text();
-        res.json({ reply: { type: 'text', text }, usage: response.usageMetadata });
+        // A model that turns out to reject systemInstruction is re-sent once with the prompt inlined.
+        const send = async (method) => {
+            try {
+                return await chat[method](userMessageParts, requestOptions);
+            } catch (error) {
+                if (!hasSystemPrompt || !isSystemInstructionRejected(error) || modelsWithoutSystemInstruction.has(modelName)) throw error;
+                console.warn(`[API] ${modelName} does not support systemInstruction. Inlining the system prompt instead.`);
+                modelsWithoutSystemInstruction.add(modelName);
+                ({ chat, userMessageParts } = buildChat(true));
+                return chat[method](userMessageParts, requestOptions);
+            }
+        };
+
+        // [NEW] Transient failures of the initial request are retried; the chat session only records
+        // history on success, so the same session can be reused for every attempt.
+        const retryOptions = { maxAttempts, signal: abortController.signal };
+
+        // [NEW] Variations come back together in one JSON response and are never streamed.
+        const candidateCount = generationConfig.candidateCount || 1;
+        if (candidateCount > 1) {
+            const generateCandidates = async () => {
+                if (!modelsWithoutCandidateCount.has(modelName)) {
+                    try {
+                        const { response } = await withRetry(() => send('sendMessage'), retryOptions);
+                        return { candidates: extractCandidates(response), usage: response.usageMetadata };
+                    } catch (error) {
+                        if (!isCandidateCountRejected(error)) throw error;
+                        console.warn(`[API] ${modelName} does not support candidateCount. Sending ${candidateCount} parallel requests instead.`);
+                        modelsWithoutCandidateCount.add(modelName);
+                    }
+                }
+                // Each request needs its own chat: a chat session appends every reply to its history.
+                const { candidateCount: _, ...singleConfig } = generationConfig;
+                const results = await Promise.allSettled(Array.from({ length: candidateCount }, () => withRetry(
+                    () => buildChat(!supportsSystemInstruction(modelName), singleConfig).chat.sendMessage(userMessageParts, requestOptions),
+                    retryOptions,
+                )));
+                const responses = results.filter(result => result.status === 'fulfilled').map(result => result.value.response);
+                if (responses.length === 0) throw results[0].reason;
+                return { candidates: responses.flatMap(extractCandidates), usage: sumUsage(responses.map(response => response.usageMetadata)) };
+            };
+            const { candidates, usage } = await generateCandidates();
+            return res.json({ reply: { type: 'text', text: candidates[0].text }, candidates, usage, contextSummary });
+        }
+
+        if (!stream) {
+            const result = await withRetry(() => send('sendMessage'), retryOptions);
+            const response = result.response;
+            const text = response.text();
+            return res.json({ reply: { type: 'text', text }, usage: response.usageMetadata, contextSummary });
+        }
+
+        // [MODIFIED] Streaming mode: headers are written only once the initial request succeeds, so quota
+        // and validation errors still reach the client as a normal JSON error response. The one exception
+        // is a retry, which opens the stream early to report progress as `retry` events.
+        const openStream = () => {
+            if (res.headersSent) return;
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+        };
+        const result = await withRetry(() => send('sendMessageStream'), {
+            ...retryOptions,
+            onRetry: ({ attempt, maxAttempts: total, delayMs, error }) => {
+                openStream();
+                sendSseEvent(res, 'retry', { attempt, maxAttempts: total, delayMs, status: error.status });
+            },
+        });
+        openStream();
+        let lastUsage = null;
+        try {
+            for await (const chunk of result.stream) {
+                if (chunk.usageMetadata) lastUsage = chunk.usageMetadata;
+                const text = chunk.text();
+                // Usage rides along with each chunk so a cancelled client still knows what was spent.
+                if (text) sendSseEvent(res, 'chunk', { text, usage: chunk.usageMetadata });
+            }
+            const response = await result.response;
+            sendSseEvent(res, 'done', { usage: response.usageMetadata, contextSummary });
+        } catch (streamError) {
+            if (abortController.signal.aborted) {
+                console.log('[API] Streaming aborted by client. Partial usage:', lastUsage);
+                return;
+            }
+            console.error('스트리밍 중 오류:', streamError);
+            sendSseEvent(res, 'error', { message: `대화 생성 중 오류: ${streamError.message}`, status: upstreamStatus(streamError) });
+        }
+        res.end();
     } catch (error) {
+        if (abortController.signal.aborted) {
+            console.log('[API] Chat request aborted by client before completion.');
+            return;
+        }
         console.error('채팅 API 오류:', error);
-        res.status(500).json({ message: `대화 생성 중 오류: ${error.message}` });
+        if (res.headersSent) {
+            sendSseEvent(res, 'error', { message: `대화 생성 중 오류: ${error.message}`, status: upstreamStatus(error) });
+            return res.end();
+        }
+        res.status(upstreamStatus(error)).json({ message: `대화 생성 중 오류: ${error.message}` });
     }
 });
 
-app.listen(port, () => {
+// [NEW] Counts the tokens a chat request would send (history + system prompt) for the context meter.
+// Without a usable key, or when countTokens fails, the local estimate is returned with `estimated: true`.
+app.post('/api/count-tokens', async (req, res) => {
+    const { model: modelName, history, systemPrompt } = req.body;
+    if (!modelName || !Array.isArray(history)) {
+        return res.status(400).json({ message: '모델과 올바른 형식의 대화 내용이 모두 필요합니다.' });
+    }
+    const hasSystemPrompt = typeof systemPrompt === 'string' && systemPrompt.trim() !== '';
+    let apiKey = null;
+    try {
+        apiKey = resolveApiKey(req);
+    } catch (error) {
+        console.warn(`[Tokens] ${error.message} Falling back to the local estimate.`);
+    }
+    let processedHistory;
+    try {
+        // [MODIFIED] With a key, stored files are counted by File API reference instead of inlined.
+        processedHistory = await processAttachmentsForAI(history, apiKey).catch(error => {
+            if (!apiKey) throw error;
+            console.warn(`[Tokens] File API references unavailable (${error.message}). Counting inline data.`);
+            return processAttachmentsForAI(history);
+        });
+    } catch (error) {
+        return res.status(400).json({ message: `토큰 계산 실패: ${error.message}` });
+    }
+    const inlineInstruction = hasSystemPrompt && !supportsSystemInstruction(modelName);
+    const countedHistory = inlineInstruction ? inlineSystemInstruction(processedHistory, systemPrompt) : processedHistory;
+    const estimate = () => tokenCounter.estimateHistoryTokens(processedHistory)
+        + (hasSystemPrompt ? tokenCounter.estimateTextTokens(systemPrompt) : 0);
+    const contents = formatHistoryForGoogleAI(countedHistory);
+    if (!apiKey || contents.length === 0) {
+        return res.json({ totalTokens: estimate(), estimated: true });
+    }
+    try {
+        const genAI = new GoogleGenerativeAI(apiKey);
+        const totalTokens = await tokenCounter.countTokens(genAI, modelName, contents, inlineInstruction ? undefined : systemPrompt);
+        res.json({ totalTokens, estimated: false });
+    } catch (error) {
+        console.warn(`[Tokens] countTokens failed for ${modelName} (${error.message}). Falling back to the local estimate.`);
+        res.json({ totalTokens: estimate(), estimated: true });
+    }
+});
+
+// --- API Key Vault ---
+function sendKeyVaultError(res, error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('API 키 보관함 오류:', error);
+    res.status(status).json({ message: error.message });
+}
+
+function keyVaultSummary() {
+    const status = keyVault.getStatus();
+    return { ...status, hasDefaultKey: !!GEMINI_API_KEY, keys: status.unlocked ? keyVault.listKeys() : [] };
+}
+
+app.get('/api/keys', (req, res) => {
+    res.json(keyVaultSummary());
+});
+
+// Creating the vault is its own step, so a wrong passphrase can never set up a second vault by accident.
+app.post('/api/keys/init', async (req, res) => {
+    try {
+        await keyVault.init(req.body?.passphrase);
+        res.status(201).json(keyVaultSummary());
+    } catch (error) {
+        sendKeyVaultError(res, error);
+    }
+});
+
+app.post('/api/keys/unlock', async (req, res) => {
+    try {
+        await keyVault.unlock(req.body?.passphrase);
+        res.json(keyVaultSummary());
+    } catch (error) {
+        sendKeyVaultError(res, error);
+    }
+});
+
+// Keys are checked against the Gemini API before they are stored.
+app.post('/api/keys', async (req, res) => {
+    const { alias, apiKey } = req.body || {};
+    try {
+        keyVault.listKeys(); // Fails fast while locked, before the key is sent anywhere.
+        if (typeof apiKey !== 'string' || !apiKey.trim()) return res.status(400).json({ message: 'API 키를 입력하세요.' });
+        try {
+            await fetchAvailableModels(apiKey.trim());
+        } catch (error) {
+            return res.status(upstreamStatus(error, 400)).json({ message: `API 키 검증 실패: ${error.message}` });
+        }
+        res.status(201).json({ key: await keyVault.addKey(alias, apiKey) });
+    } catch (error) {
+        sendKeyVaultError(res, error);
+    }
+});
+
+app.post('/api/keys/:id/validate', async (req, res) => {
+    let apiKey;
+    try {
+        apiKey = keyVault.getKey(req.params.id);
+    } catch (error) {
+        return sendKeyVaultError(res, error);
+    }
+    try {
+        await fetchAvailableModels(apiKey);
+        res.json({ valid: true, message: 'API 키가 유효합니다.' });
+    } catch (error) {
+        res.status(upstreamStatus(error, 400)).json({ valid: false, message: `API 키 검증 실패: ${error.message}` });
+    }
+});
+
+app.delete('/api/keys/:id', async (req, res) => {
+    try {
+        await keyVault.removeKey(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendKeyVaultError(res, error);
+    }
+});
+
+// --- Attachments (file store + Gemini File API) ---
+function sendFileStoreError(res, error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('첨부 파일 저장소 오류:', error);
+    res.status(status).json({ message: error.message });
+}
+
+// Recordings of meetings and screen captures are the largest attachments; the client checks the same limit.
+const MAX_UPLOAD_SIZE = '200mb';
+
+// [NEW] The raw file body is stored once (content-addressed) and, when a key is available, mirrored to the
+// File API right away; messages then only reference it by id. The name travels URI-encoded in X-File-Name.
+app.post('/api/files', express.raw({ type: () => true, limit: MAX_UPLOAD_SIZE }), async (req, res) => {
+    const mimeType = (req.get('Content-Type') || '').split(';')[0].trim();
+    let file;
+    try {
+        file = await fileStore.saveFile(req.body, { name: decodeURIComponent(req.get('X-File-Name') || ''), mimeType });
+    } catch (error) {
+        return sendFileStoreError(res, error);
+    }
+    // [NEW] PDFs are measured once on upload, so attachments can show their page and character counts (per page, for page ranges).
+    // Files stored before per-page counts existed only have the totals, so they are measured again.
+    if (file.mimeType === 'application/pdf' && file.pageCharCounts === undefined) {
+        try {
+            const { pageCount, charCount, pageCharCounts } = await extractPdfText(await fileStore.readFileData(file.id), file.id);
+            file = await fileStore.updateFileInfo(file.id, { pageCount, charCount, pageCharCounts });
+        } catch (error) {
+            console.warn(`[FileStore] Could not read ${file.name} as a PDF: ${error.message}`);
+        }
+    }
+    const documentKind = detectDocumentKind(file.mimeType, file.name);
+    if (documentKind && file.documentInfo === undefined) {
+        try {
+            const { info } = await extractDocument(await fileStore.readFileData(file.id), { kind: documentKind, name: file.name, hash: file.id });
+            file = await fileStore.updateFileInfo(file.id, { documentKind, documentInfo: info });
+        } catch (error) {
+            console.warn(`[FileStore] Could not read ${file.name} as a document: ${error.message}`);
+            return res.status(error.status || 500).json({ message: error.message });
+        }
+    }
+    res.status(201).json({ file });
+    // Documents are sent as extracted text, so everything else (images, PDFs, audio and video) goes to the File API.
+    if (fileStore.IS_LOCAL_MODE || documentKind) return;
+    let apiKey = null;
+    try {
+        apiKey = req.get('X-Key-Id') ? keyVault.getKey(req.get('X-Key-Id')) : GEMINI_API_KEY;
+    } catch (error) {
+        console.warn(`[FileStore] ${error.message} The File API upload happens with the first chat request instead.`);
+    }
+    if (apiKey) {
+        fileStore.ensureUploaded(apiKey, file.id)
+            .catch(error => console.warn(`[FileStore] File API upload of ${file.name} failed (${error.message}). Retrying with the first chat request.`));
+    }
+});
+
+const isInlineMediaType = (mimeType) => /^(image|audio|video)\//.test(mimeType) && mimeType !== 'image/svg+xml';
+
+app.get('/api/files/:id', async (req, res) => {
+    try {
+        const file = await fileStore.getFileMeta(req.params.id);
+        // Content-addressed, so a file id never changes what it points to.
+        res.set('Cache-Control', 'private, max-age=31536000, immutable');
+        // The MIME type comes from the uploader, so only media the page embeds is shown inline; anything else
+        // (HTML, SVG, ...) is downloaded, so it can never run script on the app's origin.
+        const disposition = isInlineMediaType(file.mimeType) ? 'inline' : 'attachment';
+        res.set('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.type(file.mimeType).sendFile(fileStore.filePath(file.id));
+    } catch (error) {
+        sendFileStoreError(res, error);
+    }
+});
+
+// --- Sessions & Workspace (server-side persistence) ---
+function sendStoreError(res, error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('세션 저장소 오류:', error);
+    res.status(status).json({ message: error.message, code: error.code });
+}
+
+app.get('/api/sessions', async (req, res) => {
+    try {
+        const [sessions, deleted] = await Promise.all([sessionStore.listSessions(), sessionStore.listDeletedSessions()]);
+        res.json({ sessions, deleted });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+app.post('/api/sessions', async (req, res) => {
+    const session = req.body || {};
+    const sessionId = session.id || `session-${Date.now()}`;
+    try {
+        res.status(201).json({ session: await sessionStore.saveSession(sessionId, session) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+app.get('/api/sessions/:id', async (req, res) => {
+    try {
+        res.json({ session: await sessionStore.getSession(req.params.id) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+app.put('/api/sessions/:id', async (req, res) => {
+    try {
+        // X-Base-Version: the stored version the client last synced, so edits made on top of an outdated copy are refused.
+        const baseVersion = Number(req.get('X-Base-Version'));
+        res.json({ session: await sessionStore.saveSession(req.params.id, req.body, Number.isFinite(baseVersion) ? baseVersion : undefined) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+        const deleted = await sessionStore.deleteSession(req.params.id);
+        res.status(deleted ? 200 : 404).json({ deleted });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+app.get('/api/workspace', async (req, res) => {
+    try {
+        res.json({ workspace: await sessionStore.getWorkspace() });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+app.put('/api/workspace', async (req, res) => {
+    try {
+        res.json({ workspace: await sessionStore.saveWorkspace(req.body || {}) });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// [NEW] Reads the passphrase without echoing it to the terminal.
+function promptHidden(question) {
+  return new Promise(resolve => {
+    process.stdout.write(question);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = () => {};
+    rl.question('', answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+// [NEW] Unlocks the key vault from KEY_VAULT_PASSPHRASE, or by prompting when run in a terminal.
+// Otherwise it stays locked and can be unlocked from the settings page.
+async function unlockKeyVaultAtStartup() {
+  const passphrase = process.env.KEY_VAULT_PASSPHRASE;
+  if (passphrase) {
+    try {
+      // A configured passphrase without a vault file is the operator asking for a new vault.
+      if (keyVault.getStatus().initialized) {
+        await keyVault.unlock(passphrase);
+        console.log('API 키 보관함의 잠금을 해제했습니다 (KEY_VAULT_PASSPHRASE).');
+      } else {
+        await keyVault.init(passphrase);
+        console.log('KEY_VAULT_PASSPHRASE로 새 API 키 보관함을 만들었습니다.');
+      }
+    } catch (error) {
+      console.error(`[경고] API 키 보관함 잠금 해제 실패: ${error.message}`);
+    }
+    return;
+  }
+  if (!keyVault.getStatus().initialized) return;
+  if (!process.stdin.isTTY) {
+    console.log('API 키 보관함이 잠겨 있습니다. 설정 화면에서 패스프레이즈로 잠금을 해제하세요.');
+    return;
+  }
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const answer = await promptHidden('API 키 보관함 패스프레이즈 (건너뛰려면 Enter): ');
+    if (!answer) break;
+    try {
+      await keyVault.unlock(answer);
+      console.log('API 키 보관함의 잠금을 해제했습니다.');
+      return;
+    } catch (error) {
+      console.error(error.message);
+    }
+  }
+  console.log('API 키 보관함이 잠긴 상태로 시작합니다. 설정 화면에서 잠금을 해제할 수 있습니다.');
+}
+
+unlockKeyVaultAtStartup().then(() => app.listen(port, host, () => {
   const url = `http://localhost:${port}`;
   console.log(`서버가 ${url} 에서 실행 중입니다.`);
+  if (!isLoopbackBinding) console.warn(`[경고] ${host}:${port}에 바인딩했습니다. 같은 네트워크의 누구나 API 키와 대화에 접근할 수 있습니다.`);
+  console.log(`대화 데이터 저장 위치: ${sessionStore.DATA_DIR}`);
   
   // 자동으로 브라우저 열기
   const start = process.platform === 'darwin' ? 'open' : 
@@ -212,6 +823,6 @@ app.listen(port, () => {
   });
   
   if (!GEMINI_API_KEY) {
-    console.warn(`[경고] .env 파일에 GEMINI_API_KEY가 설정되지 않았습니다. API가 작동하지 않을 수 있습니다.`);
+    console.warn(`[경고] .env 파일에 GEMINI_API_KEY가 설정되지 않았습니다. 설정 화면에서 등록한 API 키만 사용됩니다.`);
   }
-});
\ No newline at end of file
+}));
@@ -0,0 +1,83 @@
+// [Module] Compaction mode for history that exceeds historyTokenLimit. Instead of silently dropping the
+// oldest turns, they are condensed by a (cheap) model into a running summary that is injected ahead of
+// the kept history. The client stores the summary on the session as { text, throughMessageId }, where
+// throughMessageId is the last message it covers.
+const tokenCounter = require('./tokenCounter');
+
+const SUMMARY_INSTRUCTION = [
+    'You maintain a running summary of the earlier part of a conversation between a user and an AI assistant.',
+    'Merge the new turns into the existing summary. Keep every requirement, constraint, decision, fact, name,',
+    'number, piece of code and open question that the rest of the conversation may depend on; drop pleasantries.',
+    'Write concise bullet points in the language of the conversation and reply with the summary only.',
+].join(' ');
+
+function describeMessage(message) {
+    const speaker = message.role === 'model' ? 'Assistant' : 'User';
+    const content = (message.parts || []).map(part => {
+        if (part.type === 'text') return part.text;
+        if (part.type === 'image') return '[image]';
+        return '';
+    }).filter(Boolean).join('\n');
+    return `${speaker}: ${content}`;
+}
+
+/**
+ * Asks `model` to fold `turns` into `previousSummary`.
+ * @returns {Promise<{ text: string, usage: object }>}
+ */
+async function summarizeTurns(model, previousSummary, turns, requestOptions) {
+    // Inlined rather than sent as systemInstruction, so any model (Gemma included) can be the summariser.
+    const prompt = [
+        SUMMARY_INSTRUCTION,
+        `Existing summary:\n${previousSummary || '(none)'}`,
+        `New turns:\n${turns.map(describeMessage).join('\n\n')}`,
+    ].join('\n\n');
+    const result = await model.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    }, requestOptions);
+    const text = result.response.text().trim();
+    if (!text) throw new Error('The summary model returned an empty response.');
+    return { text, usage: result.response.usageMetadata };
+}
+
+// Prepended to the first kept user turn (or as its own turn when the kept history starts with a reply).
+function injectContextSummary(history, text) {
+    const summaryPart = { type: 'text', text: `[Summary of earlier conversation]\n${text}\n[/Summary of earlier conversation]` };
+    const [first, ...rest] = history;
+    if (first?.role === 'user') return [{ ...first, parts: [summaryPart, ...first.parts] }, ...rest];
+    return [{ role: 'user', parts: [summaryPart] }, ...history];
+}
+
+/**
+ * Trims `history` to `limit` tokens, summarising whatever is dropped.
+ * Messages already covered by `contextSummary` are always replaced by it; a summary whose
+ * throughMessageId is no longer in the history (edited or switched branch) is ignored.
+ * @param {Array} history Processed history; messages carry the client's ids.
+ * @param {number} limit
+ * @param {{ contextSummary?: { text: string, throughMessageId: string }, count?: Function,
+ *           summarize: (previousSummary: string|undefined, turns: Array) => Promise<{ text: string, usage: object }> }} options
+ * @returns {Promise<{ history: Array, contextSummary: object|null, updated: boolean, usage?: object }>}
+ */
+async function compactHistory(history, limit, { contextSummary, count, summarize }) {
+    if (!limit || limit <= 0) return { history, contextSummary: null, updated: false };
+    const coveredIndex = contextSummary?.text ? history.findIndex(message => message.id === contextSummary.throughMessageId) : -1;
+    const summary = coveredIndex === -1 ? null : contextSummary;
+    const remaining = history.slice(coveredIndex + 1);
+    const budget = Math.max(limit - (summary ? tokenCounter.estimateTextTokens(summary.text) : 0), 1);
+    let kept = await tokenCounter.trimHistoryByTokenLimit(remaining, budget, count);
+    // The message being answered is never summarised, even when it alone exceeds the budget.
+    if (kept.length === 0 && remaining.length > 0) kept = remaining.slice(-1);
+    const dropped = remaining.slice(0, remaining.length - kept.length);
+    if (dropped.length === 0) {
+        return { history: summary ? injectContextSummary(kept, summary.text) : kept, contextSummary: summary, updated: false };
+    }
+    console.log(`[Compactor] Summarising ${dropped.length} dropped messages${summary ? ' into the existing summary' : ''}.`);
+    const { text, usage } = await summarize(summary?.text, dropped);
+    const updatedSummary = { text, throughMessageId: dropped[dropped.length - 1].id };
+    return { history: injectContextSummary(kept, text), contextSummary: updatedSummary, updated: true, usage };
+}
+
+module.exports = {
+    compactHistory,
+    summarizeTurns,
+};
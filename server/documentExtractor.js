@@ -0,0 +1,384 @@
+// [Module] Text extraction for office and web documents: DOCX (paragraphs, headings, tables), XLSX and CSV
+// (Markdown tables), PPTX (slide text) and HTML (readable text). Office files are read with zipReader; the
+// XML is simple enough for targeted regular expressions. Results are cached in memory by content hash.
+const path = require('path');
+const crypto = require('crypto');
+const { openZip } = require('./zipReader');
+
+// Rows beyond this per sheet are left out, so one large export cannot fill the whole context.
+const MAX_SHEET_ROWS = 500;
+// Likewise for columns: a lone value in column XFD would otherwise pad every row to 16,384 cells.
+const MAX_SHEET_COLUMNS = 50;
+const CACHE_SIZE = 8;
+
+const cache = new Map(); // `${kind}:${hash}` -> result, oldest first
+
+class DocumentExtractionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DocumentExtractionError';
+        this.status = 422;
+    }
+}
+
+const DOCUMENT_KINDS = {
+    docx: {
+        partType: 'docx-attachment',
+        extensions: ['.docx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    },
+    spreadsheet: {
+        partType: 'spreadsheet-attachment',
+        extensions: ['.xlsx', '.csv'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'text/csv'],
+    },
+    presentation: {
+        partType: 'presentation-attachment',
+        extensions: ['.pptx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    },
+    html: {
+        partType: 'html-attachment',
+        extensions: ['.html', '.htm'],
+        mimeTypes: ['text/html'],
+    },
+};
+
+/** 'docx' | 'spreadsheet' | 'presentation' | 'html', or null. The extension wins over the often generic MIME type. */
+function detectDocumentKind(mimeType, name) {
+    const extension = path.extname(name || '').toLowerCase();
+    const byExtension = Object.keys(DOCUMENT_KINDS).find(kind => DOCUMENT_KINDS[kind].extensions.includes(extension));
+    if (byExtension) return byExtension;
+    return Object.keys(DOCUMENT_KINDS).find(kind => DOCUMENT_KINDS[kind].mimeTypes.includes(mimeType)) || null;
+}
+
+/** The document kind of a message part type ('docx-attachment' -> 'docx'), or null. */
+function kindForPartType(partType) {
+    return Object.keys(DOCUMENT_KINDS).find(kind => DOCUMENT_KINDS[kind].partType === partType) || null;
+}
+
+// --- XML / text helpers ---
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', middot: '·', hellip: '…', mdash: '—', ndash: '–', copy: '©', reg: '®', trade: '™', laquo: '«', raquo: '»', bull: '•' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+const getAttribute = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+
+// Relationship id -> target path, resolved against the directory of the part that owns the .rels file.
+async function readRelationships(zip, relsPath, baseDir) {
+    if (!zip.has(relsPath)) return {};
+    const relationships = {};
+    for (const [tag] of (await zip.readText(relsPath)).matchAll(/<Relationship\b[^>]*>/g)) {
+        const target = getAttribute(tag, 'Target');
+        if (target) relationships[getAttribute(tag, 'Id')] = target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(baseDir, target));
+    }
+    return relationships;
+}
+
+function escapeTableCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>').trim();
+}
+
+// A loop rather than Math.max(...rows): spreading hundreds of thousands of rows overflows the call stack.
+const maxRowLength = (rows) => rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+// The first row becomes the header; rows are padded to the widest one.
+function toMarkdownTable(rows) {
+    const width = maxRowLength(rows);
+    if (!rows.length || width === 0) return '';
+    const pad = row => Array.from({ length: width }, (_, i) => escapeTableCell(row[i]));
+    const [header, ...body] = rows.map(pad);
+    return [
+        `| ${header.join(' | ')} |`,
+        `| ${header.map(() => '---').join(' | ')} |`,
+        ...body.map(row => `| ${row.join(' | ')} |`),
+    ].join('\n');
+}
+
+// UTF-8 unless that produces replacement characters; Korean spreadsheet and web exports are often EUC-KR.
+function decodeText(buffer, declaredCharset) {
+    const bom = buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF;
+    if (declaredCharset && !bom) {
+        try {
+            return new TextDecoder(declaredCharset).decode(buffer);
+        } catch (error) {
+            // Unknown label: fall through to detection.
+        }
+    }
+    const utf8 = new TextDecoder('utf-8').decode(buffer);
+    if (bom || !utf8.includes('\uFFFD')) return utf8.replace(/^\uFEFF/, '');
+    return new TextDecoder('euc-kr').decode(buffer);
+}
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+// --- DOCX ---
+function readDocxParagraph(xml) {
+    // Paragraph properties hold tab stop definitions (<w:tab .../>) that are not content.
+    const content = xml.replace(/<w:pPr>[\s\S]*?<\/w:pPr>/, '');
+    const text = [...content.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br|cr)\b[^>]*\/>/g)]
+        .map(([, value, control]) => (control ? (control === 'tab' ? '\t' : '\n') : decodeEntities(value)))
+        .join('');
+    const style = xml.match(/<w:pStyle w:val="([^"]*)"/)?.[1] || '';
+    const heading = style.match(/^(?:Heading|heading)\s?(\d)$/)?.[1] || (style === 'Title' ? '1' : null);
+    if (heading && text.trim()) return `${'#'.repeat(Number(heading))} ${text.trim()}`;
+    if (/<w:numPr>/.test(xml) && text.trim()) return `- ${text.trim()}`;
+    return text;
+}
+
+function readDocxTable(xml) {
+    const rows = [...xml.matchAll(/<w:tr\b[^>]*>([\s\S]*?)<\/w:tr>/g)].map(([, row]) =>
+        [...row.matchAll(/<w:tc\b[^>]*>([\s\S]*?)<\/w:tc>/g)].map(([, cell]) =>
+            [...cell.matchAll(/<w:p\b[^>]*>[\s\S]*?<\/w:p>/g)].map(([paragraph]) => readDocxParagraph(paragraph)).join('\n')));
+    return toMarkdownTable(rows);
+}
+
+async function extractDocx(buffer) {
+    const zip = openZip(buffer);
+    if (!zip.has('word/document.xml')) throw new DocumentExtractionError('DOCX 문서 본문(word/document.xml)이 없습니다.');
+    const body = (await zip.readText('word/document.xml')).replace(/<w:p\b[^>]*\/>/g, '');
+    const blocks = [];
+    let paragraphCount = 0;
+    let tableCount = 0;
+    // Tables first in the alternation, so their cell paragraphs are not read twice.
+    for (const [block] of body.matchAll(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*>[\s\S]*?<\/w:p>/g)) {
+        if (block.startsWith('<w:tbl>')) {
+            tableCount++;
+            blocks.push(readDocxTable(block));
+        } else {
+            const paragraph = readDocxParagraph(block);
+            if (paragraph.trim()) paragraphCount++;
+            blocks.push(paragraph);
+        }
+    }
+    const text = blocks.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+    return { text, info: { paragraphCount, tableCount, wordCount: countWords(text), charCount: text.length } };
+}
+
+// --- XLSX / CSV ---
+function columnIndex(cellRef) {
+    const letters = (cellRef || '').match(/^[A-Z]+/)?.[0] || '';
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+async function readSharedStrings(zip) {
+    if (!zip.has('xl/sharedStrings.xml')) return [];
+    return [...(await zip.readText('xl/sharedStrings.xml')).matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) =>
+        // Phonetic runs (<rPh>) are ruby annotations, not part of the value.
+        [...item.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(([, text]) => decodeEntities(text)).join(''));
+}
+
+function readSheetRows(xml, sharedStrings) {
+    const rows = [];
+    for (const [, rowAttributes, rowXml] of xml.replace(/<row\b[^>]*\/>/g, '').matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+        const rowNumber = Number(getAttribute(rowAttributes, 'r')) || rows.length + 1;
+        const row = [];
+        let nextIndex = 0;
+        for (const [, cellAttributes, cellXml = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const index = columnIndex(getAttribute(cellAttributes, 'r'));
+            const column = index >= 0 ? index : nextIndex;
+            nextIndex = column + 1;
+            const type = getAttribute(cellAttributes, 't');
+            const rawValue = cellXml.match(/<v>([^<]*)<\/v>/)?.[1];
+            let value;
+            if (type === 's') value = sharedStrings[Number(rawValue)];
+            else if (type === 'inlineStr') value = [...cellXml.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(([, text]) => decodeEntities(text)).join('');
+            else if (type === 'b') value = rawValue === '1' ? 'TRUE' : 'FALSE';
+            else value = rawValue !== undefined ? decodeEntities(rawValue) : '';
+            // Styled but empty cells (<c r="XFD1" s="1"/>) only format the sheet.
+            if (value !== undefined && value !== '') row[column] = value;
+        }
+        rows[rowNumber - 1] = row;
+    }
+    // Sparse on purpose: cells and rows without a value are holes, so far-away addresses cost nothing.
+    return rows;
+}
+
+// Rows without any value are dropped, and only the first MAX_SHEET_ROWS rows and MAX_SHEET_COLUMNS columns are
+// kept for the table. forEach skips the holes of sparse rows. rowCount and columnCount describe the whole sheet.
+function summarizeSheet(name, rows) {
+    const shown = [];
+    let rowCount = 0;
+    let columnCount = 0;
+    rows.forEach(row => {
+        let width = 0;
+        row.forEach((value, i) => { if (value !== undefined && value !== '') width = i + 1; });
+        if (width === 0) return;
+        rowCount++;
+        columnCount = Math.max(columnCount, width);
+        if (shown.length < MAX_SHEET_ROWS) shown.push(Array.from({ length: Math.min(width, MAX_SHEET_COLUMNS) }, (_, i) => row[i] ?? ''));
+    });
+    return { name, shown, rowCount, columnCount };
+}
+
+function formatSheet({ name, shown, rowCount, columnCount }) {
+    const table = shown.length ? toMarkdownTable(shown) : '(빈 시트)';
+    const omitted = [];
+    if (rowCount > shown.length) omitted.push(`이하 ${(rowCount - shown.length).toLocaleString()}행`);
+    if (columnCount > MAX_SHEET_COLUMNS) omitted.push(`${MAX_SHEET_COLUMNS}열 이후 ${(columnCount - MAX_SHEET_COLUMNS).toLocaleString()}열`);
+    return `## ${name}\n\n${table}${omitted.length ? `\n\n(${omitted.join(', ')} 생략)` : ''}`;
+}
+
+function spreadsheetResult(sheets) {
+    const summaries = sheets.map(({ name, rows }) => summarizeSheet(name, rows));
+    const text = summaries.map(formatSheet).join('\n\n');
+    const sheetInfo = summaries.map(({ name, rowCount, columnCount }) => ({ name, rowCount, columnCount }));
+    const truncated = summaries.some(({ shown, rowCount, columnCount }) => rowCount > shown.length || columnCount > MAX_SHEET_COLUMNS);
+    return { text, info: { sheets: sheetInfo, truncated, charCount: text.length } };
+}
+
+async function extractXlsx(buffer) {
+    const zip = openZip(buffer);
+    if (!zip.has('xl/workbook.xml')) throw new DocumentExtractionError('XLSX 통합 문서(xl/workbook.xml)가 없습니다.');
+    const relationships = await readRelationships(zip, 'xl/_rels/workbook.xml.rels', 'xl');
+    const sharedStrings = await readSharedStrings(zip);
+    const sheets = [];
+    for (const [tag] of (await zip.readText('xl/workbook.xml')).matchAll(/<sheet\b[^>]*>/g)) {
+        const name = decodeEntities(getAttribute(tag, 'name') || '');
+        const target = relationships[getAttribute(tag, 'r:id')];
+        sheets.push({ name, rows: target && zip.has(target) ? readSheetRows(await zip.readText(target), sharedStrings) : [] });
+    }
+    return spreadsheetResult(sheets);
+}
+
+// RFC 4180 parsing with quoted fields; the delimiter is whichever of , ; or tab is most common on the first line.
+function parseCsv(text) {
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best), ',');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"' && field === '') quoted = true;
+        else if (char === delimiter) { row.push(field); field = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else field += char;
+    }
+    if (field !== '' || row.length > 0) rows.push([...row, field]);
+    return rows;
+}
+
+function extractCsv(buffer, name) {
+    return spreadsheetResult([{ name: path.basename(name || 'CSV', path.extname(name || '')), rows: parseCsv(decodeText(buffer)) }]);
+}
+
+// --- PPTX ---
+function readSlideParagraphs(xml) {
+    return [...xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>/g)]
+        .map(([, paragraph]) => [...paragraph.matchAll(/<a:t>([^<]*)<\/a:t>|<a:br\/>/g)].map(([match, text]) => (match === '<a:br/>' ? '\n' : decodeEntities(text))).join(''))
+        .filter(text => text.trim());
+}
+
+async function extractPptx(buffer) {
+    const zip = openZip(buffer);
+    if (!zip.has('ppt/presentation.xml')) throw new DocumentExtractionError('PPTX 프레젠테이션(ppt/presentation.xml)이 없습니다.');
+    const relationships = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+    const slidePaths = [...(await zip.readText('ppt/presentation.xml')).matchAll(/<p:sldId\b[^>]*>/g)]
+        .map(([tag]) => relationships[getAttribute(tag, 'r:id')])
+        .filter(target => target && zip.has(target));
+    let notesCount = 0;
+    const slides = [];
+    for (const [i, slidePath] of slidePaths.entries()) {
+        const lines = [`## 슬라이드 ${i + 1}`, '', ...readSlideParagraphs(await zip.readText(slidePath))];
+        const slideRelationships = await readRelationships(zip, path.posix.join(path.posix.dirname(slidePath), '_rels', `${path.posix.basename(slidePath)}.rels`), path.posix.dirname(slidePath));
+        const notesPath = Object.values(slideRelationships).find(target => target.includes('notesSlide'));
+        // Notes slides repeat the slide number placeholder; only real note text is kept.
+        const notes = notesPath && zip.has(notesPath) ? readSlideParagraphs(await zip.readText(notesPath)).filter(text => !/^\d+$/.test(text.trim())) : [];
+        if (notes.length) {
+            notesCount++;
+            lines.push('', '발표자 노트:', ...notes);
+        }
+        slides.push(lines.join('\n'));
+    }
+    const text = slides.join('\n\n');
+    return { text, info: { slideCount: slides.length, notesCount, charCount: text.length } };
+}
+
+// --- HTML ---
+function extractHtml(buffer) {
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    const charset = head.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1];
+    const html = decodeText(buffer, charset && !/^utf-?8$/i.test(charset) ? charset : undefined);
+    const title = decodeEntities(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').replace(/\s+/g, ' ').trim();
+    const body = decodeEntities(html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(head|script|style|noscript|template|svg|iframe)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) => `\n\n${'#'.repeat(Number(level))} ${content.replace(/<[^>]+>/g, '').trim()}\n\n`)
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<\/t[dh]>\s*<t[dh]\b[^>]*>/gi, ' | ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?(p|div|section|article|header|footer|main|aside|nav|blockquote|pre|tr|table|ul|ol|dl|dt|dd|figure|figcaption|form)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ''))
+        .replace(/[^\S\n]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    const text = title ? `# ${title}\n\n${body}` : body;
+    return { text, info: { title: title || undefined, wordCount: countWords(body), charCount: text.length } };
+}
+
+const EXTRACTORS = {
+    docx: (buffer) => extractDocx(buffer),
+    // XLSX files are ZIP archives ("PK"); anything else is read as CSV.
+    spreadsheet: (buffer, name) => (buffer.toString('latin1', 0, 2) === 'PK' ? extractXlsx(buffer) : extractCsv(buffer, name)),
+    presentation: (buffer) => extractPptx(buffer),
+    html: (buffer) => extractHtml(buffer),
+};
+
+async function runExtractor(extractor, buffer, kind, name) {
+    try {
+        return await extractor(buffer, name);
+    } catch (error) {
+        if (error instanceof DocumentExtractionError) throw error;
+        throw new DocumentExtractionError(`문서를 읽을 수 없습니다 (${name || kind}): ${error.message}`);
+    }
+}
+
+/**
+ * Extracts the readable text of a document along with summary details for its attachment card.
+ * @param {Buffer} buffer
+ * @param {{ kind: string, name?: string, hash?: string }} options `hash` is the file store id when known.
+ * @returns {Promise<{ text: string, info: object }>}
+ * @throws {DocumentExtractionError} Also for files that are not what their extension claims.
+ */
+async function extractDocument(buffer, { kind, name, hash = crypto.createHash('sha256').update(buffer).digest('hex') }) {
+    const extractor = EXTRACTORS[kind];
+    if (!extractor) throw new DocumentExtractionError(`지원하지 않는 문서 형식입니다: ${kind}`);
+    const cacheKey = `${kind}:${hash}`;
+    // The pending extraction is cached too, so concurrent requests for one file share it. Failures are not kept.
+    if (!cache.has(cacheKey)) {
+        const extraction = runExtractor(extractor, buffer, kind, name);
+        cache.set(cacheKey, extraction);
+        extraction.catch(() => { if (cache.get(cacheKey) === extraction) cache.delete(cacheKey); });
+        if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    }
+    return cache.get(cacheKey);
+}
+
+module.exports = {
+    DocumentExtractionError,
+    DOCUMENT_KINDS,
+    detectDocumentKind,
+    kindForPartType,
+    extractDocument,
+};
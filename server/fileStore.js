@@ -0,0 +1,182 @@
+// [Module] Attachment store. Uploaded files are kept once under data/files, keyed by their SHA-256, and
+// mirrored to the Gemini File API on demand so chat requests reference them by URI instead of base64.
+// File API uploads belong to the key's project and expire after 48 hours, so they are tracked per key and
+// re-uploaded when missing or about to expire. FILE_STORE_MODE=local never calls the File API and inlines
+// the stored bytes instead (offline testing).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { GoogleAIFileManager, FileState } = require('@google/generative-ai/server');
+const { DATA_DIR, withFileLock, writeJsonAtomic } = require('./sessionStore');
+const { readImageSize } = require('./tokenCounter');
+
+const FILES_DIR = path.join(DATA_DIR, 'files');
+const FILE_ID_PATTERN = /^[a-f0-9]{64}$/;
+const IS_LOCAL_MODE = (process.env.FILE_STORE_MODE || '').toLowerCase() === 'local';
+// Uploads this close to their expiry are replaced rather than referenced.
+const EXPIRY_MARGIN_MS = 60 * 60 * 1000;
+const PROCESSING_POLL_MS = 1000;
+// Long videos can take several minutes to process.
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+// Gemini rejects requests above 20 MB, so larger files can only be sent through the File API.
+const MAX_INLINE_BYTES = 20 * 1024 * 1024;
+
+const pendingUploads = new Map(); // `${fileId}:${keyHash}` -> Promise<upload>
+
+class FileStoreError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'FileStoreError';
+        this.status = status;
+    }
+}
+
+function assertValidId(fileId) {
+    if (typeof fileId !== 'string' || !FILE_ID_PATTERN.test(fileId)) {
+        throw new FileStoreError(`유효하지 않은 파일 ID입니다: ${fileId}`, 400);
+    }
+}
+
+const dataPath = (fileId) => path.join(FILES_DIR, fileId);
+const metaPath = (fileId) => path.join(FILES_DIR, `${fileId}.json`);
+// Uploads are recorded per key without storing anything that could reveal the key itself.
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+
+async function getFileMeta(fileId) {
+    assertValidId(fileId);
+    try {
+        return JSON.parse(await fs.promises.readFile(metaPath(fileId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new FileStoreError(`첨부 파일을 찾을 수 없습니다: ${fileId}`, 404);
+        throw error;
+    }
+}
+
+function describe(meta) {
+    const { uploads, ...publicMeta } = meta;
+    return publicMeta;
+}
+
+// Read-modify-write of one file's metadata, queued behind every other change to it (upload details,
+// derived counts, transcripts), so concurrent requests never drop each other's fields.
+function updateMeta(fileId, update) {
+    return withFileLock(metaPath(fileId), async () => {
+        const meta = await getFileMeta(fileId);
+        update(meta);
+        await writeJsonAtomic(metaPath(fileId), meta);
+        return meta;
+    });
+}
+
+/**
+ * Stores a file (deduplicated by content) and returns its metadata.
+ * @returns {Promise<{ id: string, name: string, mimeType: string, size: number, width?: number, height?: number, createdAt: number }>}
+ */
+async function saveFile(buffer, { name, mimeType }) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw new FileStoreError('파일 내용이 비어 있습니다.', 400);
+    if (!mimeType) throw new FileStoreError('파일 형식(Content-Type)이 필요합니다.', 400);
+    const id = crypto.createHash('sha256').update(buffer).digest('hex');
+    await fs.promises.mkdir(FILES_DIR, { recursive: true });
+    // Two uploads of the same content share the lock: the second one finds the first one's metadata.
+    return withFileLock(metaPath(id), async () => {
+        try {
+            return describe(await getFileMeta(id));
+        } catch (error) {
+            if (error.status !== 404) throw error;
+        }
+        const meta = { id, name: name || id.slice(0, 12), mimeType, size: buffer.length, createdAt: Date.now(), uploads: {} };
+        if (mimeType.startsWith('image/')) Object.assign(meta, readImageSize(buffer) || {});
+        await fs.promises.writeFile(dataPath(id), buffer);
+        await writeJsonAtomic(metaPath(id), meta);
+        return describe(meta);
+    });
+}
+
+/** Merges derived details (e.g. a PDF's page count) into the stored metadata. */
+async function updateFileInfo(fileId, info) {
+    return describe(await updateMeta(fileId, meta => Object.assign(meta, info)));
+}
+
+async function readFileData(fileId) {
+    await getFileMeta(fileId);
+    return fs.promises.readFile(dataPath(fileId));
+}
+
+async function waitUntilActive(fileManager, file) {
+    const deadline = Date.now() + PROCESSING_TIMEOUT_MS;
+    let current = file;
+    while (current.state === FileState.PROCESSING) {
+        if (Date.now() > deadline) throw new FileStoreError(`File API 처리 시간이 초과되었습니다: ${file.displayName}`, 504);
+        await new Promise(resolve => setTimeout(resolve, PROCESSING_POLL_MS));
+        current = await fileManager.getFile(current.name);
+    }
+    if (current.state === FileState.FAILED) throw new FileStoreError(`File API가 파일을 처리하지 못했습니다: ${file.displayName}`, 422);
+    return current;
+}
+
+async function uploadToFileApi(apiKey, meta, keyHash) {
+    const fileManager = new GoogleAIFileManager(apiKey);
+    const buffer = await fs.promises.readFile(dataPath(meta.id));
+    const { file } = await fileManager.uploadFile(buffer, { mimeType: meta.mimeType, displayName: meta.name });
+    const active = await waitUntilActive(fileManager, file);
+    const upload = { name: active.name, uri: active.uri, expiresAt: Date.parse(active.expirationTime) || null };
+    await updateMeta(meta.id, latest => {
+        latest.uploads = { ...(latest.uploads || {}), [keyHash]: upload };
+    });
+    console.log(`[FileStore] Uploaded ${meta.name} (${meta.id.slice(0, 12)}) to the File API as ${active.name}.`);
+    return upload;
+}
+
+/**
+ * Returns the File API upload of a stored file for `apiKey`, uploading it first when there is none
+ * or the previous one has expired.
+ */
+async function ensureUploaded(apiKey, fileId) {
+    const meta = await getFileMeta(fileId);
+    const keyHash = hashKey(apiKey);
+    const existing = meta.uploads?.[keyHash];
+    if (existing && (!existing.expiresAt || existing.expiresAt - EXPIRY_MARGIN_MS > Date.now())) return existing;
+    const pendingKey = `${fileId}:${keyHash}`;
+    if (!pendingUploads.has(pendingKey)) {
+        pendingUploads.set(pendingKey, uploadToFileApi(apiKey, meta, keyHash).finally(() => pendingUploads.delete(pendingKey)));
+    }
+    return pendingUploads.get(pendingKey);
+}
+
+// Type of the inline part for a MIME type: 'image', 'media' (audio/video) or 'document' (PDF).
+function inlinePartType(mimeType) {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('audio/') || mimeType.startsWith('video/')) return 'media';
+    return 'document';
+}
+
+/**
+ * Resolves a stored file into a part of the app's processed history: a File API reference
+ * ({ type: 'file', fileUri }) or, in local mode or without a key, the inline data ({ type: 'image' | 'media' | 'document', data }).
+ */
+async function resolveFilePart(apiKey, fileId) {
+    const meta = await getFileMeta(fileId);
+    const details = meta.mimeType.startsWith('image/') ? { width: meta.width, height: meta.height } : { pageCount: meta.pageCount };
+    if (IS_LOCAL_MODE || !apiKey) {
+        if (meta.size > MAX_INLINE_BYTES) {
+            throw new FileStoreError(`${meta.name}은(는) 20MB를 넘어 File API 없이는 보낼 수 없습니다.`, 413);
+        }
+        const buffer = await readFileData(fileId);
+        const type = inlinePartType(meta.mimeType);
+        return { type, mimeType: meta.mimeType, data: `data:${meta.mimeType};base64,${buffer.toString('base64')}`, ...details };
+    }
+    const upload = await ensureUploaded(apiKey, fileId);
+    return { type: 'file', mimeType: meta.mimeType, fileUri: upload.uri, ...details };
+}
+
+module.exports = {
+    FileStoreError,
+    IS_LOCAL_MODE,
+    saveFile,
+    updateFileInfo,
+    getFileMeta: async (fileId) => describe(await getFileMeta(fileId)),
+    readFileData,
+    filePath: (fileId) => { assertValidId(fileId); return dataPath(fileId); },
+    ensureUploaded,
+    resolveFilePart,
+};
@@ -0,0 +1,54 @@
+// [Module] Builds the SDK generationConfig from a chat request and rejects out-of-range values with a 400,
+// instead of letting them surface as opaque upstream errors. Model-specific limits are checked client-side.
+const MAX_STOP_SEQUENCES = 5;
+const MAX_CANDIDATES = 8;
+const INT32_MAX = 2147483647;
+const RESPONSE_MIME_TYPES = ['text/plain', 'application/json'];
+
+class GenerationConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GenerationConfigError';
+        this.status = 400;
+    }
+}
+
+function isInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+const RULES = {
+    temperature: value => isInRange(value, 0, 2),
+    topP: value => isInRange(value, 0, 1),
+    maxOutputTokens: value => Number.isInteger(value) && value >= 1,
+    topK: value => Number.isInteger(value) && value >= 1,
+    candidateCount: value => Number.isInteger(value) && isInRange(value, 1, MAX_CANDIDATES),
+    seed: value => Number.isInteger(value) && isInRange(value, -INT32_MAX - 1, INT32_MAX),
+    presencePenalty: value => isInRange(value, -2, 2) && value < 2,
+    frequencyPenalty: value => isInRange(value, -2, 2) && value < 2,
+    stopSequences: value => Array.isArray(value) && value.length <= MAX_STOP_SEQUENCES
+        && value.every(item => typeof item === 'string' && item !== ''),
+    responseMimeType: value => RESPONSE_MIME_TYPES.includes(value),
+};
+
+/**
+ * @param {object} params temperature/topP plus the optional parameters of session.generationConfig.
+ * @returns {object} Only the parameters that were set.
+ * @throws {GenerationConfigError}
+ */
+function buildGenerationConfig(params = {}) {
+    const config = {};
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+        const rule = RULES[key];
+        if (!rule) throw new GenerationConfigError(`지원하지 않는 생성 설정입니다: ${key}`);
+        if (!rule(value)) throw new GenerationConfigError(`생성 설정 값이 올바르지 않습니다: ${key}=${JSON.stringify(value)}`);
+        config[key] = value;
+    }
+    return config;
+}
+
+module.exports = {
+    GenerationConfigError,
+    buildGenerationConfig,
+};
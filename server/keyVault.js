@@ -0,0 +1,175 @@
+// [Module] Encrypted pool of named Gemini API keys, stored in data/keys.vault.json.
+// The key list is encrypted with AES-256-GCM under a key derived from a passphrase (scrypt).
+// Until unlocked the vault is unusable; plaintext keys never leave this process,
+// so clients only ever see an id, an alias and the last four characters.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { DATA_DIR, withFileLock, writeJsonAtomic } = require('./sessionStore');
+
+const scrypt = promisify(crypto.scrypt);
+
+const VAULT_FILE = path.join(DATA_DIR, 'keys.vault.json');
+const VAULT_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class KeyVaultError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'KeyVaultError';
+        this.status = status;
+    }
+}
+
+// Set while unlocked; cleared by lock().
+let encryptionKey = null;
+let salt = null;
+let keys = [];
+
+function deriveKey(passphrase, saltBuffer) {
+    return scrypt(passphrase, saltBuffer, 32, SCRYPT_PARAMS);
+}
+
+function encrypt(payload) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), authTag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decrypt(file, key) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(file.authTag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+}
+
+async function readVaultFile() {
+    try {
+        return JSON.parse(await fs.promises.readFile(VAULT_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// The session store's atomic write, so a crash never truncates the vault. Callers hold the file lock.
+function writeVaultFile() {
+    const file = {
+        version: VAULT_VERSION,
+        kdf: { name: 'scrypt', salt: salt.toString('base64'), N: SCRYPT_PARAMS.N, r: SCRYPT_PARAMS.r, p: SCRYPT_PARAMS.p },
+        ...encrypt({ keys }),
+    };
+    return writeJsonAtomic(VAULT_FILE, file, { encoding: 'utf8', mode: 0o600 });
+}
+
+function persist() {
+    return withFileLock(VAULT_FILE, writeVaultFile);
+}
+
+function assertUnlocked() {
+    if (!encryptionKey) throw new KeyVaultError('API 키 보관함이 잠겨 있습니다. 설정에서 패스프레이즈로 잠금을 해제하세요.', 423);
+}
+
+function findEntry(keyId) {
+    assertUnlocked();
+    const entry = keys.find(k => k.id === keyId);
+    if (!entry) throw new KeyVaultError(`API 키를 찾을 수 없습니다: ${keyId}`, 404);
+    return entry;
+}
+
+function toPublic({ id, alias, key, createdAt }) {
+    return { id, alias, last4: key.slice(-4), createdAt };
+}
+
+function getStatus() {
+    return { initialized: fs.existsSync(VAULT_FILE), unlocked: !!encryptionKey };
+}
+
+// Creates a new, empty vault protected by this passphrase and leaves it unlocked. Never replaces an existing vault.
+async function init(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new KeyVaultError(`패스프레이즈는 ${MIN_PASSPHRASE_LENGTH}자 이상이어야 합니다.`, 400);
+    }
+    const newSalt = crypto.randomBytes(16);
+    const newKey = await deriveKey(passphrase, newSalt);
+    await withFileLock(VAULT_FILE, async () => {
+        if (await readVaultFile()) throw new KeyVaultError('API 키 보관함이 이미 있습니다. 기존 패스프레이즈로 잠금을 해제하세요.', 409);
+        salt = newSalt;
+        encryptionKey = newKey;
+        keys = [];
+        await writeVaultFile();
+    });
+    return getStatus();
+}
+
+// Unlocks the existing vault; creating one is init()'s job.
+async function unlock(passphrase) {
+    if (typeof passphrase !== 'string' || !passphrase) throw new KeyVaultError('패스프레이즈를 입력하세요.', 400);
+    const file = await readVaultFile();
+    if (!file) throw new KeyVaultError('API 키 보관함이 아직 없습니다. 먼저 보관함을 만드세요.', 404);
+    if (file.version > VAULT_VERSION) throw new KeyVaultError(`지원하지 않는 보관함 버전입니다 (v${file.version}).`, 500);
+    const fileSalt = Buffer.from(file.kdf.salt, 'base64');
+    const key = await deriveKey(passphrase, fileSalt);
+    let payload;
+    try {
+        payload = decrypt(file, key);
+    } catch (error) {
+        throw new KeyVaultError('패스프레이즈가 올바르지 않습니다.', 401);
+    }
+    salt = fileSalt;
+    encryptionKey = key;
+    keys = Array.isArray(payload.keys) ? payload.keys : [];
+    return getStatus();
+}
+
+function lock() {
+    encryptionKey = null;
+    salt = null;
+    keys = [];
+}
+
+function listKeys() {
+    assertUnlocked();
+    return keys.map(toPublic);
+}
+
+async function addKey(alias, apiKey) {
+    assertUnlocked();
+    const trimmedKey = typeof apiKey === 'string' ? apiKey.trim() : '';
+    const trimmedAlias = typeof alias === 'string' ? alias.trim() : '';
+    if (!trimmedKey) throw new KeyVaultError('API 키를 입력하세요.', 400);
+    if (!trimmedAlias) throw new KeyVaultError('키 별칭을 입력하세요.', 400);
+    const duplicate = keys.find(k => k.key === trimmedKey);
+    if (duplicate) throw new KeyVaultError(`이미 '${duplicate.alias}'(으)로 등록된 키입니다.`, 409);
+    const entry = { id: `key-${crypto.randomUUID()}`, alias: trimmedAlias, key: trimmedKey, createdAt: Date.now() };
+    keys.push(entry);
+    await persist();
+    return toPublic(entry);
+}
+
+async function removeKey(keyId) {
+    const entry = findEntry(keyId);
+    keys = keys.filter(k => k !== entry);
+    await persist();
+}
+
+// Plaintext lookup for outgoing Gemini requests only; never send the result to a client.
+function getKey(keyId) {
+    return findEntry(keyId).key;
+}
+
+module.exports = {
+    VAULT_FILE,
+    KeyVaultError,
+    getStatus,
+    init,
+    unlock,
+    lock,
+    listKeys,
+    addKey,
+    removeKey,
+    getKey,
+};
@@ -0,0 +1,132 @@
+// [Module] Text extraction from PDFs (pdf-parse), used for attachments sent in "extract text" mode and for
+// the page/character counts shown with every PDF attachment. Text is extracted per page and cached by the
+// file's SHA-256 (in memory and under data/pdf-text), so follow-up turns don't parse the same PDF again.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pdf = require('pdf-parse');
+const { DATA_DIR } = require('./sessionStore');
+
+const CACHE_DIR = path.join(DATA_DIR, 'pdf-text');
+const MEMORY_CACHE_SIZE = 8;
+
+const memoryCache = new Map(); // hash -> { pageCount, pages }, oldest first
+const pendingExtractions = new Map(); // hash -> Promise<{ pageCount, pages }>
+
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+const cachePath = (hash) => path.join(CACHE_DIR, `${hash}.json`);
+
+// Same line joining as pdf-parse's default renderer: items on one baseline are concatenated.
+async function renderPageText(pageData) {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+    }
+    return text;
+}
+
+async function parsePages(buffer) {
+    const pages = [];
+    const data = await pdf(buffer, {
+        pagerender: async (pageData) => {
+            const text = await renderPageText(pageData);
+            pages[pageData.pageIndex] = text;
+            return text;
+        },
+    });
+    return { pageCount: data.numpages, pages: Array.from({ length: data.numpages }, (_, i) => pages[i] || '') };
+}
+
+function remember(hash, result) {
+    memoryCache.delete(hash);
+    memoryCache.set(hash, result);
+    if (memoryCache.size > MEMORY_CACHE_SIZE) memoryCache.delete(memoryCache.keys().next().value);
+    return result;
+}
+
+async function loadOrParse(buffer, hash) {
+    try {
+        return JSON.parse(await fs.promises.readFile(cachePath(hash), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`[PDF] Ignoring unreadable text cache ${hash.slice(0, 12)}: ${error.message}`);
+    }
+    const result = await parsePages(buffer);
+    try {
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        await fs.promises.writeFile(cachePath(hash), JSON.stringify(result), 'utf8');
+    } catch (error) {
+        console.warn(`[PDF] Could not cache extracted text: ${error.message}`);
+    }
+    return result;
+}
+
+/**
+ * Extracts the text of every page.
+ * @param {Buffer} buffer
+ * @param {string} [hash] SHA-256 of `buffer` when already known (the file store's id).
+ * @returns {Promise<{ pageCount: number, pages: string[] }>}
+ */
+async function extractPdfPages(buffer, hash = hashBuffer(buffer)) {
+    if (memoryCache.has(hash)) return remember(hash, memoryCache.get(hash));
+    if (!pendingExtractions.has(hash)) {
+        pendingExtractions.set(hash, loadOrParse(buffer, hash)
+            .then(result => remember(hash, result))
+            .finally(() => pendingExtractions.delete(hash)));
+    }
+    return pendingExtractions.get(hash);
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {string} [hash]
+ * @returns {Promise<{ text: string, pageCount: number, charCount: number, pageCharCounts: number[] }>}
+ */
+async function extractPdfText(buffer, hash) {
+    const { pageCount, pages } = await extractPdfPages(buffer, hash);
+    const pageCharCounts = pages.map(page => page.trim().length);
+    return {
+        text: pages.join('\n\n'),
+        pageCount,
+        charCount: pageCharCounts.reduce((sum, count) => sum + count, 0),
+        pageCharCounts,
+    };
+}
+
+/**
+ * Normalizes 1-based inclusive [start, end] ranges against the page count: out-of-range pages are
+ * dropped and overlapping ranges merged. An empty result means "every page".
+ */
+function normalizePageRanges(ranges, pageCount) {
+    if (!Array.isArray(ranges)) return [];
+    const valid = ranges
+        .filter(range => Array.isArray(range) && Number.isInteger(range[0]) && Number.isInteger(range[1]))
+        .map(([start, end]) => [Math.max(1, Math.min(start, end)), Math.min(pageCount, Math.max(start, end))])
+        .filter(([start, end]) => start <= end)
+        .sort((a, b) => a[0] - b[0]);
+    return valid.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1] + 1) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+        return merged;
+    }, []);
+}
+
+/** Returns the selected pages as [{ number, text }] (every page without ranges). */
+function selectPages(pages, ranges) {
+    const normalized = normalizePageRanges(ranges, pages.length);
+    if (normalized.length === 0) return pages.map((text, i) => ({ number: i + 1, text }));
+    return normalized.flatMap(([start, end]) => pages.slice(start - 1, end).map((text, i) => ({ number: start + i, text })));
+}
+
+const formatPageRanges = (ranges) => ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+
+module.exports = {
+    extractPdfPages,
+    extractPdfText,
+    normalizePageRanges,
+    selectPages,
+    formatPageRanges,
+};
@@ -0,0 +1,97 @@
+// [Module] Retry policy for transient Gemini API failures (overloaded model, 5xx, dropped connections).
+// Waits grow exponentially with jitter; a server-provided Retry-After header or google.rpc.RetryInfo
+// hint takes precedence over the computed delay.
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.GEMINI_RETRY_MAX_ATTEMPTS, 10) || 4;
+const MAX_ATTEMPTS_LIMIT = 8;
+const BASE_DELAY_MS = 1000;
+const MAX_BACKOFF_MS = 16000;
+// A 429 is only retried when the API says it clears soon (per-minute limits). Longer waits mean the
+// key's quota is spent, so the error goes back to the client, which rotates to its next key.
+const MAX_HINTED_DELAY_MS = 30000;
+const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+function resolveMaxAttempts(requested) {
+    const value = parseInt(requested, 10);
+    if (!Number.isInteger(value) || value < 1) return DEFAULT_MAX_ATTEMPTS;
+    return Math.min(value, MAX_ATTEMPTS_LIMIT);
+}
+
+// Retry-After is either delta-seconds or an HTTP date; RetryInfo.retryDelay is a protobuf duration ("12.5s").
+function parseDelay(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?s?$/.test(text)) return Math.ceil(parseFloat(text) * 1000);
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getDelayHint(error) {
+    const retryInfo = (error.errorDetails || []).find(detail => String(detail?.['@type'] || '').endsWith('google.rpc.RetryInfo'));
+    return parseDelay(error.retryAfter) ?? parseDelay(retryInfo?.retryDelay);
+}
+
+function isNetworkError(error) {
+    const code = error.code || error.cause?.code;
+    if (RETRYABLE_NETWORK_CODES.has(code)) return true;
+    // Both undici and the Gemini SDK (which wraps it without a status) report resets as "fetch failed".
+    return error.status === undefined && /fetch failed|socket hang up|network/i.test(error.message || '');
+}
+
+function backoffDelay(attempt) {
+    const ceiling = Math.min(MAX_BACKOFF_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Decides whether a failed attempt should be retried and after how long.
+ * @returns {number|null} Delay in ms, or null when the error is not transient.
+ */
+function getRetryDelay(error, attempt) {
+    const hint = getDelayHint(error);
+    if (error.status === 429) return hint !== null && hint <= MAX_HINTED_DELAY_MS ? hint : null;
+    if (!RETRYABLE_STATUSES.has(error.status) && !isNetworkError(error)) return null;
+    return hint !== null ? Math.min(hint, MAX_HINTED_DELAY_MS) : backoffDelay(attempt);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Runs `operation` until it succeeds, fails with a non-transient error, or runs out of attempts.
+ * @param {(attempt: number) => Promise<any>} operation
+ * @param {{ maxAttempts?: number, signal?: AbortSignal, onRetry?: (info: { attempt: number, maxAttempts: number, delayMs: number, error: Error }) => void }} options
+ *        `onRetry` is called before each wait with the number of the attempt about to run.
+ */
+async function withRetry(operation, { maxAttempts = DEFAULT_MAX_ATTEMPTS, signal, onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (signal?.aborted || attempt >= maxAttempts) throw error;
+            const delayMs = getRetryDelay(error, attempt);
+            if (delayMs === null) throw error;
+            console.warn(`[Retry] Attempt ${attempt}/${maxAttempts} failed (${error.status || error.code || error.message}). Retrying in ${delayMs}ms.`);
+            if (onRetry) onRetry({ attempt: attempt + 1, maxAttempts, delayMs, error });
+            await sleep(delayMs, signal);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_MAX_ATTEMPTS,
+    resolveMaxAttempts,
+    withRetry,
+};
@@ -0,0 +1,212 @@
+// [Module] On-disk persistence for conversations and the workspace (folder tree + prompt templates).
+// Each session is one JSON file under data/sessions; the workspace is data/workspace.json. Deleted session
+// ids are remembered in data/deleted-sessions.json, so other browsers drop their copies instead of re-uploading.
+// The data directory sits next to the executable in pkg builds, and next to server.js otherwise.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = path.join(process.pkg ? path.dirname(process.execPath) : path.join(__dirname, '..'), 'data');
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+const WORKSPACE_FILE = path.join(DATA_DIR, 'workspace.json');
+const DELETED_SESSIONS_FILE = path.join(DATA_DIR, 'deleted-sessions.json');
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+// Tombstones only need to outlive the gap until every browser has synced once.
+const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+const fileLocks = new Map(); // filePath -> tail of the queued operations on that file
+
+class SessionStoreError extends Error {
+    constructor(message, status, code) {
+        super(message);
+        this.name = 'SessionStoreError';
+        this.status = status;
+        // Tells the client which kind of 409 it got: 'deleted' or 'stale'.
+        if (code) this.code = code;
+    }
+}
+
+function assertValidId(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+        throw new SessionStoreError(`유효하지 않은 세션 ID입니다: ${sessionId}`, 400);
+    }
+}
+
+function sessionPath(sessionId) {
+    assertValidId(sessionId);
+    return path.join(SESSIONS_DIR, `${sessionId}.json`);
+}
+
+async function ensureDirs() {
+    await fs.promises.mkdir(SESSIONS_DIR, { recursive: true });
+}
+
+// Runs `task` after every operation queued earlier for the same file, so read-modify-write sequences
+// and concurrent requests for one file never interleave.
+function withFileLock(filePath, task) {
+    const run = (fileLocks.get(filePath) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    fileLocks.set(filePath, tail);
+    tail.then(() => { if (fileLocks.get(filePath) === tail) fileLocks.delete(filePath); });
+    return run;
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated JSON file behind.
+// Every write gets its own temp name, so overlapping writes cannot rename each other's file.
+async function writeJsonAtomic(filePath, data, options = 'utf8') {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+        await fs.promises.writeFile(tempPath, JSON.stringify(data), options);
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// A copy restored from a backup or imported counts as changed when it was brought back.
+function sessionVersion(session) {
+    return Math.max(session.lastModified || 0, session.restoredAt || 0);
+}
+
+function summarize(session) {
+    return {
+        id: session.id,
+        title: session.title,
+        createdAt: session.createdAt,
+        lastModified: session.lastModified,
+        restoredAt: session.restoredAt,
+        messageCount: Array.isArray(session.history) ? session.history.length : 0,
+    };
+}
+
+async function listSessions() {
+    await ensureDirs();
+    const files = (await fs.promises.readdir(SESSIONS_DIR)).filter(name => name.endsWith('.json'));
+    const sessions = await Promise.all(files.map(async (name) => {
+        try {
+            return await readJson(path.join(SESSIONS_DIR, name));
+        } catch (error) {
+            console.error(`[SessionStore] 세션 파일을 읽을 수 없습니다: ${name}`, error.message);
+            return null;
+        }
+    }));
+    return sessions.filter(Boolean).map(summarize);
+}
+
+// sessionId -> deletedAt, without entries older than TOMBSTONE_TTL_MS.
+async function readTombstones() {
+    const tombstones = (await readJson(DELETED_SESSIONS_FILE)) || {};
+    const cutoff = Date.now() - TOMBSTONE_TTL_MS;
+    Object.keys(tombstones).forEach(sessionId => { if (tombstones[sessionId] < cutoff) delete tombstones[sessionId]; });
+    return tombstones;
+}
+
+async function listDeletedSessions() {
+    const tombstones = await readTombstones();
+    return Object.entries(tombstones).map(([id, deletedAt]) => ({ id, deletedAt }));
+}
+
+function updateTombstones(update) {
+    return withFileLock(DELETED_SESSIONS_FILE, async () => {
+        const tombstones = await readTombstones();
+        update(tombstones);
+        await writeJsonAtomic(DELETED_SESSIONS_FILE, tombstones);
+    });
+}
+
+async function getSession(sessionId) {
+    const session = await readJson(sessionPath(sessionId));
+    if (!session) throw new SessionStoreError(`세션을 찾을 수 없습니다: ${sessionId}`, 404);
+    return session;
+}
+
+/**
+ * Stores a session unless the server already has a newer one (409, code 'stale').
+ * @param {number} [baseVersion] Version of the stored copy the client's edit started from. Without it, the
+ *   incoming copy itself has to be at least as new as the stored one.
+ */
+async function saveSession(sessionId, session, baseVersion) {
+    if (!session || typeof session !== 'object' || Array.isArray(session)) {
+        throw new SessionStoreError('세션 데이터가 필요합니다.', 400);
+    }
+    if (session.id && session.id !== sessionId) {
+        throw new SessionStoreError('URL의 세션 ID와 본문의 세션 ID가 일치하지 않습니다.', 400);
+    }
+    const record = { ...session, id: sessionId, lastModified: session.lastModified || Date.now() };
+    const filePath = sessionPath(sessionId);
+    return withFileLock(filePath, async () => {
+        // A copy that was not edited (or restored from a backup/import) since the session was deleted
+        // elsewhere is stale, not a new session.
+        const deletedAt = (await readTombstones())[sessionId];
+        if (deletedAt && sessionVersion(record) <= deletedAt) {
+            throw new SessionStoreError(`삭제된 세션입니다: ${sessionId}`, 409, 'deleted');
+        }
+        // An older copy from another browser must not replace newer data; that browser pulls the stored one instead.
+        const stored = await readJson(filePath);
+        if (stored && sessionVersion(stored) > (baseVersion ?? sessionVersion(record))) {
+            throw new SessionStoreError(`서버에 더 최근에 수정된 세션이 있습니다: ${sessionId}`, 409, 'stale');
+        }
+        await writeJsonAtomic(filePath, record);
+        if (deletedAt) {
+            await updateTombstones(tombstones => {
+                delete tombstones[sessionId];
+            });
+        }
+        return summarize(record);
+    });
+}
+
+async function deleteSession(sessionId) {
+    const filePath = sessionPath(sessionId);
+    return withFileLock(filePath, async () => {
+        let deleted = true;
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            deleted = false;
+        }
+        await updateTombstones(tombstones => {
+            tombstones[sessionId] = Date.now();
+        });
+        return deleted;
+    });
+}
+
+async function getWorkspace() {
+    return (await readJson(WORKSPACE_FILE)) || { sidebarItems: [], promptTemplates: [], updatedAt: 0 };
+}
+
+async function saveWorkspace({ sidebarItems, promptTemplates }) {
+    if (!Array.isArray(sidebarItems) || !Array.isArray(promptTemplates)) {
+        throw new SessionStoreError('sidebarItems와 promptTemplates는 배열이어야 합니다.', 400);
+    }
+    const workspace = { sidebarItems, promptTemplates, updatedAt: Date.now() };
+    await withFileLock(WORKSPACE_FILE, () => writeJsonAtomic(WORKSPACE_FILE, workspace));
+    return workspace;
+}
+
+module.exports = {
+    DATA_DIR,
+    SessionStoreError,
+    withFileLock,
+    writeJsonAtomic,
+    listSessions,
+    listDeletedSessions,
+    getSession,
+    saveSession,
+    deleteSession,
+    getWorkspace,
+    saveWorkspace,
+};
@@ -0,0 +1,145 @@
+// [Module] Token counting for chat history. The Gemini countTokens API is authoritative; the local
+// estimator is the fallback when it is unreachable and the per-message ruler used while trimming.
+const IMAGE_TILE_SIZE = 768;
+const TOKENS_PER_IMAGE_TILE = 258;
+// Images up to this size on both sides are billed as a single tile.
+const SMALL_IMAGE_SIZE = 384;
+// PDFs sent as documents are billed per page, like one image tile each.
+const TOKENS_PER_DOCUMENT_PAGE = 258;
+// Audio and video are billed per second of the recording (video includes its audio track).
+const TOKENS_PER_AUDIO_SECOND = 32;
+const TOKENS_PER_VIDEO_SECOND = 263;
+const COUNT_TOKENS_TIMEOUT_MS = 5000;
+
+// Roughly 4 ASCII characters per token, while Hangul and CJK characters are about one token each.
+function estimateTextTokens(text) {
+    if (!text) return 0;
+    let ascii = 0;
+    let wide = 0;
+    let other = 0;
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) ascii++;
+        else if ((code >= 0xAC00 && code <= 0xD7A3) || (code >= 0x1100 && code <= 0x11FF) || (code >= 0x3040 && code <= 0x30FF)
+            || (code >= 0x3400 && code <= 0x9FFF) || (code >= 0xF900 && code <= 0xFAFF)) wide++;
+        else other++;
+    }
+    return Math.ceil(ascii / 4 + wide + other / 2);
+}
+
+// Reads width/height from PNG, GIF or JPEG headers; null for anything else.
+function readImageSize(buffer) {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xFF) return null;
+            const marker = buffer[offset + 1];
+            // SOF0-SOF15 carry the frame size (C4, C8 and CC are tables, not frames).
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+function estimateImageTokensForSize(size) {
+    if (!size?.width || (size.width <= SMALL_IMAGE_SIZE && size.height <= SMALL_IMAGE_SIZE)) return TOKENS_PER_IMAGE_TILE;
+    const tiles = Math.ceil(size.width / IMAGE_TILE_SIZE) * Math.ceil(size.height / IMAGE_TILE_SIZE);
+    return tiles * TOKENS_PER_IMAGE_TILE;
+}
+
+function estimateImageTokens(dataUrl) {
+    const base64 = (dataUrl || '').split(',')[1] || '';
+    // The headers sit in the first few KB; decoding only those keeps large images cheap.
+    return estimateImageTokensForSize(readImageSize(Buffer.from(base64.slice(0, 65536), 'base64')));
+}
+
+function estimatePartTokens(part) {
+    if (part.type === 'text') return estimateTextTokens(part.text);
+    // [MODIFIED] Stored attachments carry their dimensions, so the data need not be decoded.
+    if (part.type === 'image') return part.width ? estimateImageTokensForSize(part) : estimateImageTokens(part.data);
+    if (part.type === 'file' && part.mimeType?.startsWith('image/')) return estimateImageTokensForSize(part);
+    if (part.mimeType?.startsWith('audio/')) return Math.ceil((part.duration || 0) * TOKENS_PER_AUDIO_SECOND);
+    if (part.mimeType?.startsWith('video/')) return Math.ceil((part.duration || 0) * TOKENS_PER_VIDEO_SECOND);
+    if (part.type === 'file' || part.type === 'document') return (part.pageCount || 1) * TOKENS_PER_DOCUMENT_PAGE;
+    if (part.type === 'code-summary') return estimateTextTokens(part.summary?.fullCode);
+    return 0;
+}
+
+function estimateMessageTokens(message) {
+    return (message.parts || []).reduce((sum, part) => sum + estimatePartTokens(part), 0);
+}
+
+function estimateHistoryTokens(history) {
+    return history.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+}
+
+/**
+ * Counts `contents` (already in Gemini format) with the countTokens API.
+ * @param {import('@google/generative-ai').GoogleGenerativeAI} genAI
+ * @param {string} modelName
+ * @param {Array} contents
+ * @param {string} [systemInstruction]
+ * @returns {Promise<number>}
+ */
+async function countTokens(genAI, modelName, contents, systemInstruction) {
+    const model = genAI.getGenerativeModel({ model: modelName, systemInstruction: systemInstruction || undefined });
+    const { totalTokens } = await model.countTokens({ contents }, { timeout: COUNT_TOKENS_TIMEOUT_MS });
+    return totalTokens;
+}
+
+/**
+ * Keeps the most recent messages that fit in `limit` tokens. The whole history is counted once with
+ * `count` (countTokens); when it does not fit, the local per-message estimates are scaled by the
+ * measured/estimated ratio to decide where to cut. Without a usable count, the estimates are used as-is.
+ * @param {Array} history Processed history (text/image parts).
+ * @param {number} limit
+ * @param {(history: Array) => Promise<number>} [count]
+ */
+async function trimHistoryByTokenLimit(history, limit, count) {
+    if (!limit || limit <= 0) return history;
+    const estimates = history.map(estimateMessageTokens);
+    const estimatedTotal = estimates.reduce((sum, tokens) => sum + tokens, 0);
+    let scale = 1;
+    if (count) {
+        try {
+            const measuredTotal = await count(history);
+            if (measuredTotal <= limit) {
+                console.log(`[History Trimmer] ${history.length} messages fit the limit (${measuredTotal}/${limit} tokens).`);
+                return history;
+            }
+            if (estimatedTotal > 0) scale = measuredTotal / estimatedTotal;
+        } catch (error) {
+            console.warn(`[History Trimmer] countTokens failed (${error.message}). Using local estimates.`);
+        }
+    }
+    let totalTokens = 0;
+    let firstKept = history.length;
+    for (let i = history.length - 1; i >= 0; i--) {
+        const messageTokens = Math.ceil(estimates[i] * scale);
+        if (totalTokens + messageTokens > limit) break;
+        totalTokens += messageTokens;
+        firstKept = i;
+    }
+    // Chat history has to open with a user turn, so a leading reply goes with the dropped turns.
+    while (firstKept < history.length - 1 && history[firstKept].role !== 'user') firstKept++;
+    const trimmedHistory = history.slice(firstKept);
+    console.log(`[History Trimmer] Original: ${history.length} messages. Trimmed: ${trimmedHistory.length} messages. (~${totalTokens} tokens)`);
+    return trimmedHistory;
+}
+
+module.exports = {
+    readImageSize,
+    estimateTextTokens,
+    estimateHistoryTokens,
+    countTokens,
+    trimHistoryByTokenLimit,
+};
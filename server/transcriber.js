@@ -0,0 +1,105 @@
+// [Module] "Transcribe first" mode for audio and video attachments: the chat model turns the recording into
+// a text transcript once, which is stored with the file in the file store and reused by every later turn.
+const fileStore = require('./fileStore');
+const { withRetry } = require('./retryPolicy');
+
+const TRANSCRIBE_INSTRUCTION = [
+    'Transcribe this recording verbatim in its original language.',
+    'Start a new line whenever the speaker changes, prefixed with a [mm:ss] timestamp and a speaker label (Speaker 1, Speaker 2, ... unless names are said).',
+    'For video, also note in [brackets] any on-screen text, slides or actions that matter for understanding what is said.',
+    'Reply with the transcript only.',
+].join(' ');
+
+// fileId -> { promise, controller, waiters }: one job per file, shared by every request that needs the transcript.
+const pendingTranscriptions = new Map();
+
+function toContentPart(part) {
+    if (part.type === 'file') return { fileData: { mimeType: part.mimeType, fileUri: part.fileUri } };
+    return { inlineData: { mimeType: part.mimeType, data: part.data.split(',')[1] || '' } };
+}
+
+async function transcribe(genAI, modelName, apiKey, fileId, retryOptions) {
+    const mediaPart = await fileStore.resolveFilePart(apiKey, fileId);
+    const model = genAI.getGenerativeModel({ model: modelName });
+    let response;
+    try {
+        ({ response } = await withRetry(() => model.generateContent({
+            contents: [{ role: 'user', parts: [toContentPart(mediaPart), { text: TRANSCRIBE_INSTRUCTION }] }],
+        }, { signal: retryOptions.signal }), retryOptions));
+    } catch (error) {
+        // Keeps the upstream status while saying which step failed.
+        error.message = `텍스트 변환 실패: ${error.message}`;
+        throw error;
+    }
+    const text = response.text().trim();
+    await fileStore.updateFileInfo(fileId, { transcript: { text, model: modelName, createdAt: Date.now() } });
+    console.log(`[Transcriber] Transcribed ${fileId.slice(0, 12)} with ${modelName} (${text.length} chars).`);
+    return text;
+}
+
+/** The stored transcript of a file, or null when it has not been transcribed yet. */
+async function getStoredTranscript(fileId) {
+    const meta = await fileStore.getFileMeta(fileId);
+    return meta.transcript?.text ?? null;
+}
+
+// The job runs under its own AbortController, so no single request's Stop cancels it for the others.
+// Retry progress goes to every request still waiting.
+function startTranscription(fileId, { genAI, modelName, apiKey, maxAttempts }) {
+    const job = { controller: new AbortController(), waiters: new Set() };
+    const retryOptions = {
+        maxAttempts,
+        signal: job.controller.signal,
+        onRetry: (info) => job.waiters.forEach(waiter => waiter.onRetry?.(info)),
+    };
+    job.promise = transcribe(genAI, modelName, apiKey, fileId, retryOptions).finally(() => {
+        if (pendingTranscriptions.get(fileId) === job) pendingTranscriptions.delete(fileId);
+    });
+    job.promise.catch(() => {}); // Handled by each waiter.
+    pendingTranscriptions.set(fileId, job);
+    return job;
+}
+
+// Settles with the job, or rejects as soon as this request's own signal aborts. The job itself is aborted
+// only once every request waiting on it has gone; a later request then starts a fresh one.
+function waitForTranscription(fileId, job, waiter) {
+    const { signal } = waiter;
+    job.waiters.add(waiter);
+    return new Promise((resolve, reject) => {
+        const leave = () => {
+            job.waiters.delete(waiter);
+            signal?.removeEventListener('abort', onAbort);
+        };
+        function onAbort() {
+            leave();
+            if (job.waiters.size === 0) {
+                if (pendingTranscriptions.get(fileId) === job) pendingTranscriptions.delete(fileId);
+                job.controller.abort();
+            }
+            reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+        job.promise.then(text => { leave(); resolve(text); }, error => { leave(); reject(error); });
+    });
+}
+
+/**
+ * Returns the transcript of a stored audio/video file, transcribing it with `modelName` on first use.
+ * @param {{ genAI: import('@google/generative-ai').GoogleGenerativeAI, modelName: string, apiKey: string, retryOptions?: object }} options
+ *        `retryOptions.signal` and `retryOptions.onRetry` belong to this request only; `maxAttempts` is taken
+ *        from the request that starts the transcription.
+ * @returns {Promise<string>}
+ */
+async function getTranscript(fileId, { genAI, modelName, apiKey, retryOptions = {} }) {
+    const stored = await getStoredTranscript(fileId);
+    if (stored !== null) return stored;
+    if (retryOptions.signal?.aborted) throw retryOptions.signal.reason;
+    const job = pendingTranscriptions.get(fileId)
+        || startTranscription(fileId, { genAI, modelName, apiKey, maxAttempts: retryOptions.maxAttempts });
+    return waitForTranscription(fileId, job, retryOptions);
+}
+
+module.exports = {
+    getStoredTranscript,
+    getTranscript,
+};
@@ -0,0 +1,93 @@
+// [Module] Minimal ZIP reader for Office Open XML files (DOCX, XLSX, PPTX). Reads the central directory and
+// inflates entries on demand with zlib (off the main thread); ZIP64, encryption and multi-disk archives are not supported.
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+// The end record is 22 bytes plus a comment of at most 64 KB.
+const MAX_END_RECORD_SEARCH = 22 + 0xFFFF;
+// Guards against zip bombs: no single entry may inflate beyond this. Office parts are XML text, and
+// anything larger would produce more text than a model context holds anyway.
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+
+class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+        this.status = 422;
+    }
+}
+
+function findEndRecord(buffer) {
+    const stop = Math.max(0, buffer.length - MAX_END_RECORD_SEARCH);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new ZipError('ZIP 형식의 파일이 아닙니다.');
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {{ names: string[], has: (name: string) => boolean, read: (name: string) => Promise<Buffer>, readText: (name: string) => Promise<string> }}
+ */
+function openZip(buffer) {
+    const endRecord = findEndRecord(buffer);
+    const entryCount = buffer.readUInt16LE(endRecord + 10);
+    let offset = buffer.readUInt32LE(endRecord + 16);
+    if (offset === 0xFFFFFFFF) throw new ZipError('ZIP64 파일은 지원하지 않습니다.');
+
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new ZipError('ZIP 중앙 디렉터리가 손상되었습니다.');
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        entries.set(name, { flags, method, compressedSize, size, localHeaderOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    async function read(name) {
+        const entry = entries.get(name);
+        if (!entry) throw new ZipError(`ZIP 항목을 찾을 수 없습니다: ${name}`);
+        if (entry.flags & 0x1) throw new ZipError('암호화된 파일은 읽을 수 없습니다.');
+        if (entry.size > MAX_ENTRY_SIZE) throw new ZipError(`ZIP 항목이 너무 큽니다: ${name}`);
+        const header = entry.localHeaderOffset;
+        if (buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) throw new ZipError(`ZIP 항목이 손상되었습니다: ${name}`);
+        const dataStart = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+        const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+        if (entry.method === 0) return data;
+        if (entry.method === 8) {
+            try {
+                return await inflateRaw(data, { maxOutputLength: MAX_ENTRY_SIZE });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new ZipError(`ZIP 항목이 너무 큽니다: ${name}`);
+                throw error;
+            }
+        }
+        throw new ZipError(`지원하지 않는 ZIP 압축 방식입니다 (${entry.method}).`);
+    }
+
+    return {
+        names: [...entries.keys()],
+        has: (name) => entries.has(name),
+        read,
+        readText: async (name) => (await read(name)).toString('utf8'),
+    };
+}
+
+module.exports = {
+    ZipError,
+    openZip,
+};